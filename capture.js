@@ -0,0 +1,359 @@
+/**
+ * Serial Capture and Replay Module
+ *
+ * Records raw serial traffic to a capture file, and replays capture files
+ * through the drivers in place of a serial port.
+ *
+ * Capture file format (one JSON object per line):
+ *   {"type":"capture","version":1,"driver":"mpm1010","path":"/dev/...","baudRate":9600,"startTime":<epoch ms>}
+ *   {"t":12.345,"dir":"rx","data":"21020412"}   - bytes received, hex
+ *   {"t":12.901,"dir":"tx","data":"3f"}         - bytes sent, hex
+ *   {"t":13.002,"mark":"start"}                 - named time reference (see MeterDriver.markTime)
+ * Times are in ms since startTime, with microsecond resolution.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { performance } = require('perf_hooks');
+const clock = require('./lib/clock.js');
+const EmulatedPort = require('./emulators/emulated-port.js');
+
+const CAPTURE_VERSION = 1;
+
+// Bytes read at a time while looking for the end of the header line
+const HEADER_CHUNK_BYTES = 4096;
+
+// Events read ahead of the replay, reading pauses beyond this
+const READ_AHEAD_EVENTS = 1000;
+
+class CaptureRecorder {
+  /**
+   * @param {string} file - Capture file path (overwritten)
+   * @param {Object} info - Header fields (driver, path, baudRate)
+   */
+  constructor(file, info = {}) {
+    this.file = file;
+    this.startTime = clock.now();
+    this.stream = fs.createWriteStream(file);
+    this.current = null;
+    this.write({ type: 'capture', version: CAPTURE_VERSION, ...info, startTime: this.startTime });
+  }
+
+  write(entry) {
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * High resolution time since the start of the capture, in ms
+   */
+  elapsed() {
+    return clock.since(this.startTime, clock.now());
+  }
+
+  /**
+   * Epoch time in ms
+   * While a received chunk is being processed, this is the chunk's recorded
+   * time, so replayed sessions get the exact same timestamps.
+   */
+  now() {
+    return this.startTime + (this.current !== null ? this.current : this.elapsed());
+  }
+
+  /**
+   * Record bytes sent ('tx') or received ('rx')
+   * @returns {number} Recorded time
+   */
+  record(direction, data) {
+    const t = this.elapsed();
+    this.write({ t, dir: direction, data: Buffer.from(data).toString('hex') });
+    return t;
+  }
+
+  /**
+   * Record a named time reference
+   * @param {string} name
+   * @param {number} time - Epoch time in ms
+   */
+  mark(name, time) {
+    this.write({ t: time - this.startTime, mark: name });
+  }
+
+  /**
+   * Flush and close the capture file
+   */
+  async close() {
+    await new Promise(resolve => this.stream.end(resolve));
+    console.log(`✓ Capture saved to ${this.file}`);
+  }
+}
+
+/**
+ * Record all traffic of a port
+ * Must be called before the driver attaches its own listeners, so received
+ * chunks are recorded before they are processed.
+ */
+function recordPort(port, recorder) {
+  port.on('data', (data) => {
+    recorder.current = recorder.record('rx', data);
+    process.nextTick(() => {
+      recorder.current = null;
+    });
+  });
+  port.now = () => recorder.now();
+
+  const write = port.write.bind(port);
+  port.write = (data, ...args) => {
+    recorder.record('tx', data);
+    return write(data, ...args);
+  };
+}
+
+/**
+ * Read the header of a capture file
+ * Only reads the first line, so it is cheap on long captures.
+ * @returns {Object} The header
+ */
+function readCaptureHeader(file) {
+  const fd = fs.openSync(file, 'r');
+  let text = '';
+  try {
+    const buffer = Buffer.alloc(HEADER_CHUNK_BYTES);
+    let bytes;
+    while (!text.includes('\n') && (bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      text += buffer.toString('utf8', 0, bytes);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const line = text.split('\n')[0].trim();
+  if (line.length === 0) {
+    throw new Error(`Empty capture file: ${file}`);
+  }
+  let header;
+  try {
+    header = JSON.parse(line);
+  } catch (e) {
+    throw new Error(`Not a capture file: ${file}`);
+  }
+  if (header.type !== 'capture') {
+    throw new Error(`Not a capture file: ${file}`);
+  }
+  if (header.version > CAPTURE_VERSION) {
+    throw new Error(`Unsupported capture version ${header.version} in ${file}`);
+  }
+  return header;
+}
+
+/**
+ * Read the events of a capture file, line by line
+ * @yields {Object} Events after the header, in file order
+ */
+async function* readCaptureEvents(file) {
+  const input = fs.createReadStream(file);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (lineNumber === 1 || line.trim().length === 0) {
+        continue;
+      }
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Invalid capture line ${lineNumber} in ${file}: ${e.message}`);
+      }
+      yield event;
+    }
+  } finally {
+    // Also when the replay stops early
+    input.destroy();
+  }
+}
+
+/**
+ * Port replaying the received bytes of a capture file
+ *
+ * Until the 'start' mark, each recorded command waits for the driver to send
+ * one, so identification exchanges stay in sync. After it, received bytes are
+ * replayed at the recorded timing (divided by speed), or as fast as possible
+ * with speed = Infinity. Bytes written by the driver are otherwise ignored.
+ *
+ * now() returns the recorded time of the latest replayed event, so drivers
+ * timestamp measurements exactly as in the original session.
+ */
+class ReplayPort extends EmulatedPort {
+  /**
+   * @param {Object} options - SerialPort style options, plus:
+   *   replay: capture file path
+   *   replaySpeed: playback speed factor (default: 1, Infinity for as fast as possible)
+   */
+  constructor(options = {}, openCallback) {
+    super({ ...options, path: options.replay }, openCallback);
+    this.header = readCaptureHeader(options.replay);
+    this.reader = readCaptureEvents(options.replay);
+    this.events = []; // Events read ahead, the next one first
+    this.reading = false;
+    this.readEnded = false;
+    this.speed = options.replaySpeed || 1;
+    this.started = false;
+    this.pendingWrites = 0;
+    this.clock = 0;
+    this.anchor = { t: 0, real: performance.now() };
+    this.timer = null;
+    this.waiting = false;
+    this.waitingForEvents = false;
+
+    this.once('open', () => this.next());
+    this.readAhead();
+  }
+
+  /**
+   * Read events until READ_AHEAD_EVENTS are waiting, or the file ended
+   * Invalid lines end the replay with a port error.
+   */
+  async readAhead() {
+    if (this.reading || this.readEnded) {
+      return;
+    }
+    this.reading = true;
+    try {
+      while (this.events.length < READ_AHEAD_EVENTS) {
+        const { value, done } = await this.reader.next();
+        if (done) {
+          this.readEnded = true;
+          break;
+        }
+        this.events.push(value);
+      }
+    } catch (err) {
+      this.readEnded = true;
+      this.emit('error', err);
+    }
+    this.reading = false;
+    if (this.waitingForEvents) {
+      this.waitingForEvents = false;
+      this.next();
+    }
+  }
+
+  now() {
+    return this.header.startTime + this.clock;
+  }
+
+  receive(data) {
+    this.pendingWrites++;
+    if (this.waiting) {
+      this.waiting = false;
+      this.next();
+    }
+  }
+
+  /**
+   * Time reference requested by the driver (see MeterDriver.markTime)
+   * @returns {number} Recorded epoch time of the mark
+   */
+  replayMark(name) {
+    const event = this.events[0];
+    if (event && event.mark === name) {
+      this.passMark(event);
+      if (this.waiting) {
+        this.waiting = false;
+        this.next();
+      }
+    }
+    return this.now();
+  }
+
+  passMark(event) {
+    this.advance(event);
+    if (event.mark === 'start') {
+      this.started = true;
+    }
+  }
+
+  advance(event) {
+    this.clock = event.t;
+    this.anchor = { t: event.t, real: performance.now() };
+    this.events.shift();
+    if (this.events.length < READ_AHEAD_EVENTS / 2) {
+      this.readAhead();
+    }
+  }
+
+  /**
+   * Schedule the next event
+   */
+  next() {
+    if (!this.isOpen) {
+      return;
+    }
+    if (this.events.length === 0) {
+      if (!this.readEnded) {
+        // Continue once more events are read
+        this.waitingForEvents = true;
+        this.readAhead();
+        return;
+      }
+      console.log('✓ Replay complete');
+      this.emit('replay-end');
+      return;
+    }
+
+    const event = this.events[0];
+    if (event.mark !== undefined) {
+      if (this.pendingWrites > 0) {
+        // The driver already moved on without requesting the mark
+        this.passMark(event);
+        this.next();
+      } else {
+        this.waiting = true;
+      }
+      return;
+    }
+
+    if (event.dir === 'tx' && !this.started) {
+      if (this.pendingWrites > 0) {
+        this.pendingWrites--;
+        this.advance(event);
+        this.next();
+      } else {
+        // Wait for the driver to send the command
+        this.waiting = true;
+      }
+      return;
+    }
+
+    const run = () => {
+      this.timer = null;
+      this.advance(event);
+      if (event.dir === 'rx') {
+        this.transmit(Buffer.from(event.data, 'hex'));
+      }
+      this.next();
+    };
+
+    if (this.speed === Infinity) {
+      this.timer = setImmediate(run);
+    } else {
+      const delay = (event.t - this.anchor.t) / this.speed - (performance.now() - this.anchor.real);
+      this.timer = setTimeout(run, Math.max(0, delay));
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      clearImmediate(this.timer);
+      this.timer = null;
+    }
+    if (!this.readEnded) {
+      this.readEnded = true;
+      this.reader.return();
+    }
+  }
+}
+
+module.exports = { CaptureRecorder, ReplayPort, recordPort, readCaptureHeader, readCaptureEvents };
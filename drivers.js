@@ -0,0 +1,84 @@
+/**
+ * Meter Driver Registry
+ *
+ * Maps WATTMETER_TYPE values to MeterDriver classes. Supporting a new meter
+ * means writing a MeterDriver subclass and registering it here.
+ */
+
+const ISW8001 = require('./isw8001.js');
+const MPM1010 = require('./mpm1010.js');
+const ISW8001Emulator = require('./emulators/isw8001-emulator.js');
+const MPM1010Emulator = require('./emulators/mpm1010-emulator.js');
+
+const DRIVERS = new Map();
+
+/**
+ * Register a driver class
+ * @param {Function} Driver - MeterDriver subclass
+ * @param {string} type - Registry key (default: Driver.type)
+ */
+function registerDriver(Driver, type = Driver.type) {
+  if (!type) {
+    throw new Error(`${Driver.name} has no driver type`);
+  }
+  DRIVERS.set(type.toLowerCase(), Driver);
+}
+
+/**
+ * Look up a driver class
+ * @param {string} type - Registry key, case insensitive
+ * @returns {Function|null} MeterDriver subclass, or null if unknown
+ */
+function getDriver(type) {
+  return DRIVERS.get(type.toLowerCase()) || null;
+}
+
+/**
+ * Create a meter instance
+ * @param {string} type - Registry key, case insensitive
+ * @param {Object} options - Overrides for the driver's default config (e.g. path, capture, replay)
+ */
+function createMeter(type, options = {}) {
+  const Driver = getDriver(type);
+  if (!Driver) {
+    throw new Error(`Unknown wattmeter type: ${type}. Must be one of: ${driverTypes().join(', ')}`);
+  }
+  const meter = new Driver();
+  meter.config = { ...meter.config, ...options };
+  return meter;
+}
+
+/**
+ * Create a driver class talking to an in-memory emulator instead of a serial port
+ * @param {Function} Driver - MeterDriver subclass
+ * @param {Function} Emulator - EmulatedPort subclass implementing the same protocol
+ */
+function emulatedDriver(Driver, Emulator) {
+  return class extends Driver {
+    static type = `${Driver.type}-sim`;
+    static displayName = `${Driver.displayName} (emulator)`;
+
+    constructor(config) {
+      super(config);
+      this.config = {
+        ...this.config,
+        path: 'emulator',
+        transport: (options, callback) => new Emulator(options, callback)
+      };
+    }
+  };
+}
+
+/**
+ * List registered driver types
+ */
+function driverTypes() {
+  return [...DRIVERS.keys()];
+}
+
+registerDriver(ISW8001);
+registerDriver(MPM1010);
+registerDriver(emulatedDriver(ISW8001, ISW8001Emulator));
+registerDriver(emulatedDriver(MPM1010, MPM1010Emulator));
+
+module.exports = { registerDriver, getDriver, createMeter, driverTypes, emulatedDriver };
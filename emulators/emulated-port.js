@@ -0,0 +1,88 @@
+/**
+ * Emulated Serial Port
+ *
+ * In-memory stand-in for a SerialPort: drivers write commands to it and read
+ * the emulated device's responses from it. Subclasses implement the device
+ * protocol in receive() and answer with transmit().
+ */
+
+const { Duplex } = require('stream');
+
+class EmulatedPort extends Duplex {
+  /**
+   * @param {Object} options - SerialPort style options (path, baudRate, ...)
+   * @param {Function} openCallback - Called once the port is open
+   */
+  constructor(options = {}, openCallback) {
+    super();
+    this.path = options.path || 'emulator';
+    this.baudRate = options.baudRate || 9600;
+    this.isOpen = false;
+
+    // Open asynchronously like a real port, so listeners can be attached first
+    setImmediate(() => {
+      this.isOpen = true;
+      this.emit('open');
+      if (openCallback) {
+        openCallback(null);
+      }
+    });
+  }
+
+  /**
+   * Time needed to send bytes at the configured baud rate (8N1 = 10 bits/byte)
+   */
+  byteTimeMs(bytes = 1) {
+    return bytes * 10 * 1000 / this.baudRate;
+  }
+
+  /**
+   * Handle bytes written by the driver (implemented by device emulators)
+   * @param {Buffer} data
+   */
+  receive(data) {
+    throw new Error(`${this.constructor.name} must implement receive()`);
+  }
+
+  /**
+   * Send bytes from the emulated device to the driver
+   * @param {Buffer|string} data
+   */
+  transmit(data) {
+    if (this.isOpen) {
+      this.push(Buffer.from(data));
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    if (this.isOpen) {
+      this.receive(Buffer.from(chunk, encoding));
+    }
+    callback();
+  }
+
+  _read() {
+    // Data is pushed by transmit()
+  }
+
+  /**
+   * Stop device timers (overridden by emulators that have any)
+   */
+  stop() {
+  }
+
+  /**
+   * Close the port
+   */
+  close(callback) {
+    this.stop();
+    this.isOpen = false;
+    this.push(null);
+    this.emit('close');
+    if (callback) {
+      setImmediate(callback);
+    }
+  }
+}
+
+module.exports = EmulatedPort;
@@ -0,0 +1,190 @@
+/**
+ * ISW 8001 Wattmeter Emulator
+ *
+ * Emulates the ISW8001 line protocol (see docs/ISW8001-PROTOCOL.md) on an
+ * in-memory port, including the XON/XOFF bytes the device embeds in responses.
+ */
+
+const EmulatedPort = require('./emulated-port.js');
+const { createLoad, loadOptionsFromEnv } = require('./load.js');
+
+const AUTO_MODE_INTERVAL_MS = 470;
+
+// Range limits, matching VOLTAGE_RANGES / CURRENT_RANGES in isw8001.js
+const VOLTAGE_LIMITS = [50, 150, 500];
+const CURRENT_LIMITS = [0.16, 1.6, 16];
+
+// Function command => response type
+const FUNCTIONS = {
+  WATT: 'W',
+  VAR: 'VAR',
+  VOLT: 'ACV',
+  AMP: 'ACA',
+  PWF: 'PF'
+};
+
+/**
+ * Format a value the way the device does, e.g. 238.5E+0 or 0.300E-3
+ */
+function formatValue(value) {
+  if (value === 0) {
+    return '0.000E+0';
+  }
+  const exponent = Math.abs(value) < 1 ? -3 : 0;
+  const mantissa = value / 10 ** exponent;
+  return `${mantissa.toPrecision(4)}E${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+/**
+ * Pick the smallest range (1-based) that fits the value
+ */
+function fittingRange(value, limits) {
+  const index = limits.findIndex(limit => Math.abs(value) <= limit);
+  return index >= 0 ? index + 1 : limits.length;
+}
+
+class ISW8001Emulator extends EmulatedPort {
+  /**
+   * @param {Object} options - SerialPort style options, plus:
+   *   load: load options (default: from SIM_* environment variables)
+   *   flowControlNoise: probability of XON/XOFF bytes in a response (default: 0.3)
+   */
+  constructor(options = {}, openCallback) {
+    super(options, openCallback);
+    this.load = createLoad(options.load || loadOptionsFromEnv());
+    this.flowControlNoise = options.flowControlNoise !== undefined ? options.flowControlNoise : 0.3;
+    this.function = 'WATT';
+    this.autoRange = true;
+    this.voltageRange = 3;
+    this.currentRange = 1;
+    this.autoModeTimer = null;
+    this.input = '';
+  }
+
+  receive(data) {
+    // Commands are terminated with CR, XON/XOFF from the host are ignored
+    this.input += data.toString('latin1').replace(/[\x11\x13\n]/g, '');
+
+    let end;
+    while ((end = this.input.indexOf('\r')) >= 0) {
+      const command = this.input.slice(0, end).trim().toUpperCase();
+      this.input = this.input.slice(end + 1);
+      if (command.length > 0) {
+        this.handleCommand(command);
+      }
+    }
+  }
+
+  /**
+   * Execute a single command
+   */
+  handleCommand(command) {
+    if (command in FUNCTIONS) {
+      this.function = command;
+      return;
+    }
+
+    const range = command.match(/^SET:([UI])([123])$/);
+    if (range) {
+      this.autoRange = false;
+      if (range[1] === 'U') {
+        this.voltageRange = parseInt(range[2]);
+      } else {
+        this.currentRange = parseInt(range[2]);
+      }
+      return;
+    }
+
+    switch (command) {
+      case '*IDN?':
+        this.respond('IeS type ISW8001A (emulator)');
+        break;
+      case 'VERSION?':
+        this.respond('version 1.04');
+        break;
+      case 'STATUS?':
+        this.respond(`${this.function} U${this.voltageRange} I${this.currentRange}`);
+        break;
+      case 'VAL?':
+      case 'VAS?':
+        this.respond(this.measurementLine());
+        break;
+      case 'MA1':
+        this.startAutoMode();
+        break;
+      case 'MA0':
+        this.stop();
+        break;
+      case 'AUTORANGE':
+        this.autoRange = true;
+        break;
+      case 'MANUAL':
+        this.autoRange = false;
+        break;
+      default:
+        // BEEP, FAV0, ... and unknown commands are silently ignored like on the device
+        break;
+    }
+  }
+
+  /**
+   * Build a measurement line for the current function, e.g. U3=238.5E+0 I1=0.300E-3 W=0.020E+0
+   */
+  measurementLine() {
+    const reading = this.load();
+
+    if (this.autoRange) {
+      this.voltageRange = fittingRange(reading.voltage, VOLTAGE_LIMITS);
+      this.currentRange = fittingRange(reading.current, CURRENT_LIMITS);
+    }
+
+    const type = FUNCTIONS[this.function];
+    let value;
+    switch (type) {
+      case 'W':
+        value = formatValue(reading.power);
+        break;
+      case 'VAR':
+        value = formatValue(reading.reactivePower);
+        break;
+      case 'ACV':
+        value = formatValue(reading.voltage);
+        break;
+      case 'ACA':
+        value = formatValue(reading.current);
+        break;
+      case 'PF':
+        value = reading.powerFactor === null ? 'overflow' : formatValue(reading.powerFactor);
+        break;
+    }
+
+    return `U${this.voltageRange}=${formatValue(reading.voltage)} I${this.currentRange}=${formatValue(reading.current)} ${type}=${value}`;
+  }
+
+  /**
+   * Send a CR terminated response, with XON/XOFF noise like the real device
+   */
+  respond(line) {
+    let data = line;
+    if (Math.random() < this.flowControlNoise) {
+      const position = Math.floor(Math.random() * data.length);
+      data = data.slice(0, position) + '\x13\x11' + data.slice(position);
+    }
+    setTimeout(() => this.transmit(data + '\r'), this.byteTimeMs(data.length + 1));
+  }
+
+  startAutoMode() {
+    if (!this.autoModeTimer) {
+      this.autoModeTimer = setInterval(() => this.respond(this.measurementLine()), AUTO_MODE_INTERVAL_MS);
+    }
+  }
+
+  stop() {
+    if (this.autoModeTimer) {
+      clearInterval(this.autoModeTimer);
+      this.autoModeTimer = null;
+    }
+  }
+}
+
+module.exports = ISW8001Emulator;
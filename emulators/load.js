@@ -0,0 +1,93 @@
+/**
+ * Emulated Electrical Load
+ *
+ * Generates the voltage, current and power an emulated meter reports, following
+ * a configurable power waveform.
+ *
+ * Environment variables:
+ *   SIM_WAVEFORM=constant, sine, square, sawtooth or noise (default: sine)
+ *   SIM_POWER=10 - Average power in W
+ *   SIM_AMPLITUDE=5 - Waveform amplitude in W
+ *   SIM_PERIOD=10000 - Waveform period in ms
+ *   SIM_VOLTAGE=230 - Line voltage in V
+ *   SIM_POWER_FACTOR=0.9
+ *   SIM_FREQUENCY=50 - Line frequency in Hz
+ */
+
+// Waveforms take the phase (0 to 1) and return a value between -1 and 1
+const WAVEFORMS = {
+  constant: () => 0,
+  sine: (phase) => Math.sin(2 * Math.PI * phase),
+  square: (phase) => phase < 0.5 ? 1 : -1,
+  sawtooth: (phase) => 2 * phase - 1,
+  noise: () => Math.random() * 2 - 1
+};
+
+const DEFAULT_LOAD = {
+  waveform: 'sine',
+  power: 10,
+  amplitude: 5,
+  periodMs: 10000,
+  voltage: 230,
+  powerFactor: 0.9,
+  frequency: 50
+};
+
+/**
+ * Read load options from SIM_* environment variables
+ */
+function loadOptionsFromEnv(env = process.env) {
+  const options = {};
+  const numbers = {
+    SIM_POWER: 'power',
+    SIM_AMPLITUDE: 'amplitude',
+    SIM_PERIOD: 'periodMs',
+    SIM_VOLTAGE: 'voltage',
+    SIM_POWER_FACTOR: 'powerFactor',
+    SIM_FREQUENCY: 'frequency'
+  };
+
+  if (env.SIM_WAVEFORM) {
+    options.waveform = env.SIM_WAVEFORM.toLowerCase();
+  }
+  for (const [name, key] of Object.entries(numbers)) {
+    if (env[name] !== undefined) {
+      options[key] = parseFloat(env[name]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Create a load model
+ * @param {Object} options - Overrides for DEFAULT_LOAD
+ * @returns {Function} (timeMs) => { voltage, current, power, reactivePower, powerFactor, frequency }
+ */
+function createLoad(options = {}) {
+  const load = { ...DEFAULT_LOAD, ...options };
+  const waveform = WAVEFORMS[load.waveform];
+  if (!waveform) {
+    throw new Error(`Invalid waveform. Must be one of: ${Object.keys(WAVEFORMS).join(', ')}`);
+  }
+
+  return (timeMs = Date.now()) => {
+    const phase = (timeMs % load.periodMs) / load.periodMs;
+    const power = Math.max(0, load.power + load.amplitude * waveform(phase));
+    // Small line noise so consecutive readings aren't all identical
+    const voltage = load.voltage + (Math.random() - 0.5);
+    const frequency = load.frequency + (Math.random() - 0.5) * 0.04;
+    const apparentPower = power / load.powerFactor;
+
+    return {
+      voltage,
+      current: apparentPower / voltage,
+      power,
+      reactivePower: Math.sqrt(Math.max(0, apparentPower ** 2 - power ** 2)),
+      powerFactor: power > 0 ? load.powerFactor : null,
+      frequency
+    };
+  };
+}
+
+module.exports = { WAVEFORMS, createLoad, loadOptionsFromEnv };
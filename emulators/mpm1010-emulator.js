@@ -0,0 +1,130 @@
+/**
+ * MPM-1010 Power Meter Emulator
+ *
+ * Emulates the MPM-1010 request/response protocol (see docs/MPM1010-PROTOCOL.md)
+ * on an in-memory port:
+ * - Each "?" is answered with "!" + 20 BCD bytes, sent at the configured baud rate
+ * - A "?" received while a frame is being sent interrupts it and starts a new one
+ * - V/I/W/PF are only updated every 250ms and frequency every 400ms, like the device
+ */
+
+const EmulatedPort = require('./emulated-port.js');
+const { createLoad, loadOptionsFromEnv } = require('./load.js');
+
+const POWER_UPDATE_INTERVAL_MS = 250;
+const FREQUENCY_UPDATE_INTERVAL_MS = 400;
+const TURNAROUND_MS = 2;
+const BYTES_PER_CHUNK = 4; // USB-serial adapters deliver a few bytes at a time
+
+// Integer digits used for each field, e.g. 242.3V, 0.005A, 01.09W, 1.000, 50.00Hz
+const INTEGER_DIGITS = {
+  voltage: 3,
+  current: 1,
+  power: 2,
+  powerFactor: 1,
+  frequency: 2
+};
+
+/**
+ * Encode a value as 4 BCD digits, the inverse of MPM1010.decodeDigits()
+ * Low nibble = digit, high nibble 1 = decimal point follows the digit.
+ * @param {number} value - Value to encode (negative values are clamped to 0)
+ * @param {number} integerDigits - Preferred number of digits before the decimal point
+ * @returns {Buffer} 4 bytes
+ */
+function encodeDigits(value, integerDigits) {
+  value = Math.max(0, value);
+
+  // Move the decimal point right until the integer part fits (after rounding)
+  let intDigits = integerDigits;
+  let text = value.toFixed(4 - intDigits);
+  while (text.split('.')[0].length > intDigits && intDigits < 4) {
+    intDigits++;
+    text = value.toFixed(4 - intDigits);
+  }
+  const digits = text.split('.')[0].length > 4 ? '9999' : text.replace('.', '').padStart(4, '0');
+
+  const bytes = Buffer.alloc(4);
+  for (let i = 0; i < 4; i++) {
+    bytes[i] = parseInt(digits[i]);
+    if (intDigits < 4 && i === intDigits - 1) {
+      bytes[i] |= 0x10;
+    }
+  }
+  return bytes;
+}
+
+class MPM1010Emulator extends EmulatedPort {
+  /**
+   * @param {Object} options - SerialPort style options, plus:
+   *   load: load options (default: from SIM_* environment variables)
+   */
+  constructor(options = {}, openCallback) {
+    super(options, openCallback);
+    this.load = createLoad(options.load || loadOptionsFromEnv());
+    this.reading = this.load();
+    this.frequency = this.reading.frequency;
+    this.transmitTimer = null;
+
+    this.powerTimer = setInterval(() => {
+      this.reading = this.load();
+    }, POWER_UPDATE_INTERVAL_MS);
+    this.frequencyTimer = setInterval(() => {
+      this.frequency = this.reading.frequency;
+    }, FREQUENCY_UPDATE_INTERVAL_MS);
+  }
+
+  receive(data) {
+    if (data.includes(0x3F)) { // '?'
+      this.sendFrame();
+    }
+  }
+
+  /**
+   * Build a complete 21 byte frame from the latest internal update
+   */
+  frame() {
+    return Buffer.concat([
+      Buffer.from('!'),
+      encodeDigits(this.reading.voltage, INTEGER_DIGITS.voltage),
+      encodeDigits(this.reading.current, INTEGER_DIGITS.current),
+      encodeDigits(this.reading.power, INTEGER_DIGITS.power),
+      encodeDigits(this.reading.powerFactor || 0, INTEGER_DIGITS.powerFactor),
+      encodeDigits(this.frequency, INTEGER_DIGITS.frequency)
+    ]);
+  }
+
+  /**
+   * Start sending a frame, interrupting the one in progress if any
+   */
+  sendFrame() {
+    if (this.transmitTimer) {
+      clearTimeout(this.transmitTimer);
+      this.transmitTimer = null;
+    }
+
+    const frame = this.frame();
+    let offset = 0;
+    const sendChunk = () => {
+      const chunk = frame.subarray(offset, offset + BYTES_PER_CHUNK);
+      offset += chunk.length;
+      this.transmit(chunk);
+      this.transmitTimer = offset < frame.length
+        ? setTimeout(sendChunk, this.byteTimeMs(BYTES_PER_CHUNK))
+        : null;
+    };
+    this.transmitTimer = setTimeout(sendChunk, TURNAROUND_MS + this.byteTimeMs(BYTES_PER_CHUNK));
+  }
+
+  stop() {
+    clearInterval(this.powerTimer);
+    clearInterval(this.frequencyTimer);
+    if (this.transmitTimer) {
+      clearTimeout(this.transmitTimer);
+      this.transmitTimer = null;
+    }
+  }
+}
+
+module.exports = MPM1010Emulator;
+module.exports.encodeDigits = encodeDigits;
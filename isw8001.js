@@ -4,21 +4,28 @@
  * Provides the ISW8001 class for communicating with the ISW 8001 digital wattmeter via RS232.
  */
 
-const { SerialPort } = require('serialport');
 const { ReadlineParser } = require('@serialport/parser-readline');
-const EventEmitter = require('events');
+const { MeterDriver, createMeasurement } = require('./meter-driver.js');
 
 // Configuration
 const CONFIG = {
   path: process.env.ISW8001_PORT || '/dev/tty.usbserial-110',
-  baudRate: 9600, // Can be 1200 or 9600
+  baudRate: parseInt(process.env.ISW8001_BAUD_RATE, 10) || 9600, // Can be 1200 or 9600
   dataBits: 8,
   parity: 'none',
   stopBits: 1,
   xon: true,
-  xoff: true
+  xoff: true,
+  // Functions to cycle through while streaming, e.g. WATT,VAR,PWF (default: front panel selection)
+  functions: process.env.ISW8001_FUNCTIONS ? process.env.ISW8001_FUNCTIONS.split(',') : null
 };
 
+// Automatic mode (MA1) output interval
+const AUTO_MODE_INTERVAL_MS = 470;
+
+// Number of readings per function used to measure the effective rate
+const RATE_WINDOW = 10;
+
 // Lookup tables
 const UNIT_MAP = {
   'W': 'W',
@@ -43,62 +50,93 @@ const CURRENT_RANGES = {
   'Ix': 'External'
 };
 
-class ISW8001 extends EventEmitter {
+const FUNCTIONS = ['WATT', 'VAR', 'VOLT', 'AMP', 'PWF'];
+
+// Measurement type => function command
+const TYPE_FUNCTIONS = {
+  'W': 'WATT',
+  'VAR': 'VAR',
+  'PF': 'PWF',
+  'DCV': 'VOLT',
+  'ACV': 'VOLT',
+  'DCA': 'AMP',
+  'ACA': 'AMP'
+};
+
+// Normalized field measured by each multiplexed function
+// (voltage and current are part of every reading)
+const FUNCTION_FIELDS = {
+  'WATT': 'power',
+  'VAR': 'reactivePower',
+  'PWF': 'powerFactor'
+};
+
+class ISW8001 extends MeterDriver {
+  static type = 'isw8001';
+  static displayName = 'ISW8001';
+  static capabilities = {
+    rangeControl: true,
+    functionSelect: true,
+    debugTiming: false,
+    freshness: false,
+    measurements: ['power', 'voltage', 'current', 'powerFactor', 'reactivePower', 'apparentPower']
+  };
+
+  // Automatic mode lines are sent on the meter's own schedule, without a
+  // request to answer: only their transmission time is known
+  static turnaroundMs = 0;
+
   constructor(config = CONFIG) {
-    super();
-    this.config = config;
-    this.port = null;
+    super(config);
     this.parser = null;
+    this.lastDataTime = null;
     this.responseQueue = [];
     this.waitingForResponse = false;
-    this.autoModeEnabled = false;
+    this.multiplexer = null;
   }
 
   /**
-   * Open serial port connection
+   * Attach the line parser to the port
    */
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.port = new SerialPort(this.config, (err) => {
-        if (err) {
-          reject(new Error(`Failed to open port: ${err.message}`));
-          return;
+  setupPort(port) {
+    // Time the bytes arrive: lines are timed from the arrival of their end,
+    // not from the time the parser gets to them
+    port.on('data', () => {
+      this.lastDataTime = this.now();
+    });
+
+    // Create line parser (commands end with CR)
+    this.parser = port.pipe(new ReadlineParser({ delimiter: '\r' }));
+
+    // Handle incoming data
+    this.parser.on('data', (line) => {
+      // Bytes sent for the line, including its CR and XON/XOFF characters
+      const bytes = Buffer.byteLength(line) + 1;
+
+      // Remove XON/XOFF control characters and trim
+      line = line.replace(/[\x11\x13]/g, '').trim();
+      if (line.length > 0) {
+        if (process.env.DEBUG) {
+          console.log('←', line);
         }
-      });
-
-      // Create line parser (commands end with CR)
-      this.parser = this.port.pipe(new ReadlineParser({ delimiter: '\r' }));
-
-      // Handle incoming data
-      this.parser.on('data', (line) => {
-        // Remove XON/XOFF control characters and trim
-        line = line.replace(/[\x11\x13]/g, '').trim();
-        if (line.length > 0) {
-          if (process.env.DEBUG) {
-            console.log('←', line);
-          }
 
-          const parsed = this.parseMeasurement(line);
+        const parsed = this.parseMeasurement(line);
 
-          // If in auto mode, emit measurement events
-          if (this.autoModeEnabled && parsed.value !== undefined) {
-            this.emit('measurement', parsed);
+        // If in auto mode, emit measurement events
+        if (this.autoModeEnabled && parsed.value !== undefined) {
+          const { timestamp, latency } = this.measurementTime(this.lastDataTime, bytes);
+          const measurement = this.normalizeMeasurement(parsed, timestamp, latency);
+          if (this.multiplexer) {
+            this.multiplexMeasurement(measurement);
+          } else {
+            this.emit('measurement', measurement);
           }
-
-          this.responseQueue.push(line);
+        } else if (this.autoModeEnabled && Object.keys(parsed).length === 0) {
+          this.countLinkError('frame');
         }
-      });
-
-      this.port.on('open', async () => {
-        console.log(`✓ Connected to ${this.config.path} at ${this.config.baudRate} baud`);
-        // Give device time to initialize after opening port
-        await this.sleep(500);
-        resolve();
-      });
-
-      this.port.on('error', (err) => {
-        console.error('Serial port error:', err.message);
-      });
+
+        this.responseQueue.push(line);
+      }
     });
   }
 
@@ -126,6 +164,7 @@ class ISW8001 extends EventEmitter {
         if (this.responseQueue.length > 0) {
           resolve(this.responseQueue[0]);
         } else if (Date.now() - startTime > timeoutMs) {
+          this.countLinkError('timeout');
           reject(new Error('Timeout waiting for response'));
         } else {
           setTimeout(checkResponse, 50);
@@ -141,7 +180,7 @@ class ISW8001 extends EventEmitter {
    * Returns object with name and version
    */
   async identify() {
-    let name = 'ISW8001';
+    let name = this.constructor.displayName;
     let version = null;
     try {
       name = await this.sendAndWait('*IDN?');
@@ -177,15 +216,120 @@ class ISW8001 extends EventEmitter {
    * Set measurement function
    */
   async setFunction(func) {
-    const validFunctions = ['WATT', 'VAR', 'VOLT', 'AMP', 'PWF'];
-    const upperFunc = func.toUpperCase();
-    if (!validFunctions.includes(upperFunc)) {
-      throw new Error(`Invalid function. Must be one of: ${validFunctions.join(', ')}`);
-    }
+    const upperFunc = this.checkFunction(func);
     this.sendCommand(upperFunc);
     await this.sleep(200); // Give device time to switch
   }
 
+  /**
+   * Validate a function name
+   * @returns {string} Upper case function command
+   */
+  checkFunction(func) {
+    const upperFunc = func.trim().toUpperCase();
+    if (!FUNCTIONS.includes(upperFunc)) {
+      throw new Error(`Invalid function. Must be one of: ${FUNCTIONS.join(', ')}`);
+    }
+    return upperFunc;
+  }
+
+  /**
+   * Start emitting 'measurement' events continuously
+   * @param {Object} options
+   *   functions: functions to cycle through, e.g. ['WATT', 'VAR', 'PWF'] (default: config.functions).
+   *     With several functions, each one is measured every functions.length readings.
+   */
+  async startStreaming({ functions = this.config.functions } = {}) {
+    this.multiplexer = null;
+    if (functions && functions.length > 0) {
+      functions = functions.map(func => this.checkFunction(func));
+      await this.setFunction(functions[0]);
+      if (functions.length > 1) {
+        this.multiplexer = { functions, index: 0, latest: {}, readingTimes: {} };
+        const rate = 1000 / (AUTO_MODE_INTERVAL_MS * functions.length);
+        console.log(`✓ Multiplexing ${functions.join(', ')} (~${rate.toFixed(2)} Hz per function)`);
+      }
+    }
+    await this.enableAutoMode();
+  }
+
+  /**
+   * Handle a reading while cycling through functions
+   * Readings of another function than the selected one (sent before the
+   * switch took effect) are dropped. Other readings select the next function
+   * and are emitted with only the value of their own function (measurement.function),
+   * so each reading is counted once. The apparent power is derived from the
+   * latest reading of every multiplexed function.
+   */
+  multiplexMeasurement(measurement) {
+    const multiplexer = this.multiplexer;
+    const func = multiplexer.functions[multiplexer.index];
+    if (measurement.function !== func) {
+      return;
+    }
+
+    multiplexer.latest[func] = measurement;
+    const times = multiplexer.readingTimes[func] || (multiplexer.readingTimes[func] = []);
+    times.push(measurement.timestamp);
+    if (times.length > RATE_WINDOW) {
+      times.shift();
+    }
+
+    multiplexer.index = (multiplexer.index + 1) % multiplexer.functions.length;
+    this.sendCommand(multiplexer.functions[multiplexer.index]);
+
+    const latest = {};
+    for (const other of multiplexer.functions) {
+      const field = FUNCTION_FIELDS[other];
+      if (field && multiplexer.latest[other]) {
+        latest[field] = multiplexer.latest[other][field];
+      }
+    }
+    measurement.apparentPower = this.apparentPower(latest);
+
+    this.emit('measurement', measurement);
+  }
+
+  /**
+   * Derive the apparent power (VA) from real power and reactive power or power factor
+   * @returns {number|null}
+   */
+  apparentPower({ power, reactivePower, powerFactor }) {
+    if (typeof power !== 'number') {
+      return null;
+    }
+    if (typeof reactivePower === 'number') {
+      return Math.hypot(power, reactivePower);
+    }
+    if (typeof powerFactor === 'number' && powerFactor !== 0) {
+      return Math.abs(power / powerFactor);
+    }
+    return null;
+  }
+
+  /**
+   * Describe the function multiplexing
+   * Rates are measured over the latest readings of each function, or
+   * estimated from the automatic mode interval until then.
+   * @returns {Object|null} { functions, rates } (rates in Hz per function), or null when not multiplexing
+   */
+  multiplexInfo() {
+    if (!this.multiplexer) {
+      return null;
+    }
+
+    const { functions, readingTimes } = this.multiplexer;
+    const rates = {};
+    for (const func of functions) {
+      const times = readingTimes[func] || [];
+      const rate = times.length > 1 && times.at(-1) > times[0]
+        ? (times.length - 1) * 1000 / (times.at(-1) - times[0])
+        : 1000 / (AUTO_MODE_INTERVAL_MS * functions.length);
+      rates[func] = Math.round(rate * 1000) / 1000;
+    }
+    return { functions, rates };
+  }
+
   /**
    * Enable automatic measurement mode (continuous output)
    */
@@ -288,29 +432,35 @@ class ISW8001 extends EventEmitter {
   }
 
   /**
-   * Sleep helper
+   * Convert a parsed measurement to the normalized measurement shape
+   * Only the active function's field is filled in (e.g. power for W); the
+   * function command, raw type, value and unit are kept alongside.
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+  normalizeMeasurement(parsed, timestamp = this.now(), latency = null) {
+    const measurement = createMeasurement({
+      timestamp,
+      latency,
+      voltage: parsed.voltage,
+      current: parsed.current,
+      voltageRange: parsed.voltageRange,
+      currentRange: parsed.currentRange,
+      function: TYPE_FUNCTIONS[parsed.type],
+      type: parsed.type,
+      value: parsed.value,
+      unit: parsed.unit
+    });
 
-  /**
-   * Close connection
-   */
-  async disconnect() {
-    if (this.port && this.port.isOpen) {
-      // Disable auto mode if enabled
-      if (this.autoModeEnabled) {
-        await this.disableAutoMode();
+    if (typeof parsed.value === 'number') {
+      if (parsed.type === 'W') {
+        measurement.power = parsed.value;
+      } else if (parsed.type === 'VAR') {
+        measurement.reactivePower = parsed.value;
+      } else if (parsed.type === 'PF') {
+        measurement.powerFactor = parsed.value;
       }
-
-      await new Promise((resolve) => {
-        this.port.close(() => {
-          console.log('✓ Disconnected');
-          resolve();
-        });
-      });
     }
+
+    return measurement;
   }
 }
 
@@ -0,0 +1,213 @@
+/**
+ * Threshold Alerts
+ *
+ * Rules watching the live measurements of each meter, e.g. during unattended
+ * soak runs. An alert is raised once a value stays beyond its threshold for
+ * the rule's minimum duration, and resolved once it comes back past the
+ * threshold by the hysteresis. The server records alerts as markers and
+ * posts them to a webhook (see sendWebhook()).
+ *
+ * Rule format: [meter:]metric<op>threshold[~hysteresis][@duration], e.g.
+ *   power>50~2@5s - power above 50 W for 5 s, resolved below 48 W
+ *   dut:power<0.5@10s - DUT drawing nothing for 10 s (crashed, unplugged)
+ * metric is one of power (W), voltage (V), current (A) or frequency (Hz), and
+ * duration is in ms, s or m (default: s). Rules without a meter apply to each meter.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Metrics: rule name -> [SampleStore column, unit]
+const ALERT_METRICS = {
+  power: ['power', 'W'],
+  voltage: ['voltage', 'V'],
+  current: ['current', 'A'],
+  frequency: ['frequency', 'Hz']
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000 };
+
+// Time to wait for a webhook response
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Resolved alerts kept in the history, the oldest ones are dropped beyond this
+const MAX_PAST_ALERTS = 100;
+
+/**
+ * Parse a comma separated list of alert rules
+ * @param {string} spec - e.g. "power>50~2@5s,dut:power<0.5@10s"
+ * @param {string[]} meterIds - Known meter ids
+ * @returns {Object[]} [{ rule, meter, metric, op, threshold, hysteresis, durationMs }]
+ */
+function parseAlertRules(spec, meterIds) {
+  if (!spec) {
+    return [];
+  }
+  return spec.split(',').map(text => text.trim()).filter(Boolean).map((rule) => {
+    const match = rule.match(/^(?:([^:]+):)?(\w+)\s*([<>])\s*(-?\d+(?:\.\d+)?)(?:~(\d+(?:\.\d+)?))?(?:@(\d+(?:\.\d+)?)(ms|s|m)?)?$/);
+    if (!match) {
+      throw new Error(`Invalid alert rule: ${rule}. Expected [meter:]metric>threshold[~hysteresis][@duration]`);
+    }
+    const [, meter = null, metric, op, threshold, hysteresis = '0', duration = '0', unit = 's'] = match;
+    if (!ALERT_METRICS[metric]) {
+      throw new Error(`Invalid metric in alert rule ${rule}: ${metric}. Must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+    }
+    if (meter && !meterIds.includes(meter)) {
+      throw new Error(`Unknown meter in alert rule ${rule}: ${meter}`);
+    }
+    return {
+      rule,
+      meter,
+      metric,
+      op,
+      threshold: parseFloat(threshold),
+      hysteresis: parseFloat(hysteresis),
+      durationMs: parseFloat(duration) * DURATION_UNITS[unit]
+    };
+  });
+}
+
+/**
+ * Describe a rule for logs and webhooks, e.g. "power > 50 W for 5 s"
+ */
+function describeAlertRule({ meter, metric, op, threshold, durationMs }) {
+  const description = `${metric} ${op} ${threshold} ${ALERT_METRICS[metric][1]}` +
+    (durationMs > 0 ? ` for ${durationMs / 1000} s` : '');
+  return meter ? `${meter}: ${description}` : description;
+}
+
+class AlertMonitor {
+  /**
+   * @param {Object[]} rules - See parseAlertRules()
+   * @param {Object} options
+   *   maxPastAlerts: resolved alerts kept (default: MAX_PAST_ALERTS)
+   */
+  constructor(rules, { maxPastAlerts = MAX_PAST_ALERTS } = {}) {
+    this.rules = rules;
+    this.maxPastAlerts = maxPastAlerts;
+    this.alerts = []; // Active and the latest resolved alerts, oldest first, endTimeMs is null while active
+    this.state = new Map(); // By "<rule index>:<meter>": { since, alert }
+    this.nextId = 1;
+  }
+
+  /**
+   * Evaluate the rules on a new sample of a meter
+   * @param {string} meter - Meter id
+   * @param {number} timeMs - Sample time
+   * @param {Object} sample - Normalized measurement
+   * @returns {Object[]} [{ event, alert }] where event is "alert" or "resolved"
+   */
+  check(meter, timeMs, sample) {
+    const events = [];
+    this.rules.forEach((rule, index) => {
+      const value = sample[ALERT_METRICS[rule.metric][0]];
+      if ((rule.meter && rule.meter !== meter) || typeof value !== 'number') {
+        return;
+      }
+      const key = `${index}:${meter}`;
+      if (!this.state.has(key)) {
+        this.state.set(key, { since: null, alert: null });
+      }
+      const state = this.state.get(key);
+      const above = rule.op === '>';
+
+      if (state.alert) {
+        const { alert } = state;
+        alert.peak = above ? Math.max(alert.peak, value) : Math.min(alert.peak, value);
+        const resolved = above ? value < rule.threshold - rule.hysteresis : value > rule.threshold + rule.hysteresis;
+        if (resolved) {
+          alert.endTimeMs = timeMs;
+          alert.endValue = value;
+          state.alert = null;
+          state.since = null;
+          events.push({ event: 'resolved', alert });
+          this.dropPastAlerts();
+        }
+        return;
+      }
+
+      const beyond = above ? value > rule.threshold : value < rule.threshold;
+      if (!beyond) {
+        state.since = null;
+        return;
+      }
+      if (state.since === null) {
+        state.since = timeMs;
+      }
+      if (timeMs - state.since >= rule.durationMs) {
+        state.alert = {
+          id: String(this.nextId++),
+          rule: rule.rule,
+          description: describeAlertRule(rule),
+          meter,
+          metric: rule.metric,
+          threshold: rule.threshold,
+          startTimeMs: state.since, // When the value went beyond the threshold
+          timeMs, // When the alert was raised
+          endTimeMs: null,
+          value,
+          peak: value,
+          endValue: null
+        };
+        this.alerts.push(state.alert);
+        events.push({ event: 'alert', alert: state.alert });
+      }
+    });
+    return events;
+  }
+
+  /**
+   * @returns {Object[]} The alerts still active, oldest first
+   */
+  active() {
+    return this.alerts.filter(alert => alert.endTimeMs === null);
+  }
+
+  /**
+   * @returns {Object[]} The latest resolved alerts, newest first
+   */
+  past() {
+    return this.alerts.filter(alert => alert.endTimeMs !== null).reverse();
+  }
+
+  /**
+   * Drop the oldest resolved alerts beyond maxPastAlerts, so the history of
+   * long runs stays bounded
+   */
+  dropPastAlerts() {
+    let excess = this.alerts.filter(alert => alert.endTimeMs !== null).length - this.maxPastAlerts;
+    this.alerts = this.alerts.filter(alert => alert.endTimeMs === null || excess-- <= 0);
+  }
+}
+
+/**
+ * POST a JSON payload to a webhook URL
+ * @param {string} url - http or https URL
+ * @param {Object} payload
+ * @returns {Promise<number>} The response status, rejects on errors and non-2xx responses
+ */
+function sendWebhook(url, payload) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          reject(new Error(`Webhook responded with HTTP ${res.statusCode}`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Webhook timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = { parseAlertRules, describeAlertRule, AlertMonitor, sendWebhook };
@@ -0,0 +1,45 @@
+/**
+ * Clock
+ *
+ * Timestamps of measurements and events: epoch time in ms with microsecond
+ * resolution, from the monotonic high resolution clock of the process. Unlike
+ * Date.now(), it never goes back when the system clock is adjusted, so sample
+ * times always increase. Its epoch origin is the wall clock when the process
+ * started (performance.timeOrigin).
+ */
+
+const { performance } = require('perf_hooks');
+
+/**
+ * Round a time in ms to the microsecond
+ */
+function roundTime(time) {
+  return Math.round(time * 1000) / 1000;
+}
+
+/**
+ * Current time in ms since the epoch
+ */
+function now() {
+  return roundTime(performance.timeOrigin + performance.now());
+}
+
+/**
+ * Time elapsed between two clock values, in ms
+ * @param {number} origin - Epoch time in ms, e.g. the start time of a recording
+ * @param {number} time - Epoch time in ms
+ */
+function since(origin, time) {
+  return roundTime(time - origin);
+}
+
+/**
+ * Epoch time of a time elapsed since an origin
+ * @param {number} origin - Epoch time in ms
+ * @param {number} time - Time since the origin, in ms
+ */
+function absolute(origin, time) {
+  return roundTime(origin + time);
+}
+
+module.exports = { now, since, absolute, roundTime };
@@ -0,0 +1,179 @@
+/**
+ * Energy Integration
+ *
+ * Integrates power samples over time. Each sample's power counts from the
+ * previous power sample's time to its own (like the profile's energy counter).
+ * Samples without power (other functions of a multiplexing meter) are skipped.
+ *
+ * Sample intervals can be uneven, and a meter can stop sending samples for a
+ * while (disconnected, replay paused, ...). Intervals longer than
+ * GAP_FACTOR times the median interval are gaps: the sample after a gap only
+ * counts for the longest regular interval before it.
+ *
+ * Counters updated as samples come in (EnergyCounter) can't know the median of
+ * the intervals to come: they use the median of the latest GAP_WINDOW ones.
+ */
+
+const GAP_FACTOR = 5;
+
+// Power intervals the gap threshold of an EnergyCounter is taken from
+const GAP_WINDOW = 1000;
+
+/**
+ * Get the longest regular interval between power samples
+ * @param {Array} times - Sample times in ms
+ * @param {Array} power - Power in W, null for samples without power
+ * @returns {number} Interval in ms, Infinity with too few samples to tell
+ */
+function gapThreshold(times, power) {
+  const intervals = [];
+  let previous = null;
+  for (let i = 0; i < times.length; i++) {
+    if (power[i] !== null) {
+      if (previous !== null) {
+        intervals.push(times[i] - times[previous]);
+      }
+      previous = i;
+    }
+  }
+  if (intervals.length < 2) {
+    return Infinity;
+  }
+  intervals.sort((a, b) => a - b);
+  return intervals[Math.floor(intervals.length / 2)] * GAP_FACTOR;
+}
+
+/**
+ * Integrate power samples, describing the time covered
+ * Samples with a null power (other functions) are skipped: the next power
+ * sample counts from the power sample before them, unless that is a gap.
+ * @param {Array} times - Sample times in ms
+ * @param {Array} power - Power in W, null for samples without power
+ * @param {Object} options
+ *   from, to: only integrate this time range (default: from the first to the last sample)
+ *   maxIntervalMs: longest interval a sample counts for, see gapThreshold() (default: no limit)
+ * @returns {Object} { energyWh, durationMs, gapCount, gapMs } where durationMs is the time
+ *   integrated, and gapMs the time left out in gapCount gaps
+ */
+function integratePower(times, power, { from = -Infinity, to = Infinity, maxIntervalMs = Infinity } = {}) {
+  let energyWs = 0;
+  let durationMs = 0;
+  let gapCount = 0;
+  let gapMs = 0;
+  let previous = null;
+  for (let i = 0; i < times.length; i++) {
+    if (power[i] === null) {
+      continue;
+    }
+    if (previous === null) {
+      previous = i;
+      continue;
+    }
+    const interval = times[i] - times[previous];
+    const counted = times[i] - Math.min(interval, maxIntervalMs);
+    const duration = Math.min(times[i], to) - Math.max(counted, from);
+    if (duration > 0) {
+      energyWs += power[i] * duration / 1000;
+      durationMs += duration;
+    }
+    const gap = interval > maxIntervalMs ? Math.min(counted, to) - Math.max(times[previous], from) : 0;
+    if (gap > 0) {
+      gapCount++;
+      gapMs += gap;
+    }
+    previous = i;
+  }
+  return { energyWh: energyWs / 3600, durationMs, gapCount, gapMs };
+}
+
+/**
+ * Integrate power samples
+ * @param {Array} times - Sample times in ms
+ * @param {Array} power - Power in W, null for samples without power
+ * @param {number} from - Only integrate from this time (default: the first sample)
+ * @param {number} to - Only integrate until this time (default: the last sample)
+ * @param {number} maxIntervalMs - Longest interval a sample counts for (default: no limit)
+ * @returns {number} Energy in Wh
+ */
+function integrateEnergy(times, power, from = -Infinity, to = Infinity, maxIntervalMs = Infinity) {
+  return integratePower(times, power, { from, to, maxIntervalMs }).energyWh;
+}
+
+/**
+ * Running integration of power samples, with the gap rule of integratePower()
+ */
+class EnergyCounter {
+  constructor() {
+    this.energyWs = 0;
+    this.durationMs = 0;
+    this.lastPowerTimeMs = null; // Time of the latest sample with power
+    this.intervals = []; // Latest GAP_WINDOW power intervals, oldest first
+    this.sortedIntervals = []; // The same, sorted
+  }
+
+  /**
+   * @returns {number} Energy in Wh
+   */
+  get energyWh() {
+    return this.energyWs / 3600;
+  }
+
+  /**
+   * Get the longest regular interval, like gapThreshold()
+   * @returns {number} Interval in ms, Infinity with too few samples to tell
+   */
+  get maxIntervalMs() {
+    const sorted = this.sortedIntervals;
+    return sorted.length < 2 ? Infinity : sorted[Math.floor(sorted.length / 2)] * GAP_FACTOR;
+  }
+
+  /**
+   * Count a sample
+   * @param {number} timeMs - Sample time
+   * @param {number|null} power - Power in W, null for samples without power
+   * @returns {number} Energy the sample counts for, in Ws
+   */
+  add(timeMs, power) {
+    if (power === null) {
+      return 0;
+    }
+    const previous = this.lastPowerTimeMs;
+    this.lastPowerTimeMs = timeMs;
+    if (previous === null) {
+      return 0;
+    }
+
+    const interval = timeMs - previous;
+    this.addInterval(interval);
+    const duration = Math.min(interval, this.maxIntervalMs);
+    if (duration <= 0) {
+      return 0;
+    }
+    this.energyWs += power * duration / 1000;
+    this.durationMs += duration;
+    return power * duration / 1000;
+  }
+
+  addInterval(interval) {
+    const insertAt = (value) => {
+      let low = 0;
+      let high = this.sortedIntervals.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (this.sortedIntervals[mid] < value) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      return low;
+    };
+    this.intervals.push(interval);
+    this.sortedIntervals.splice(insertAt(interval), 0, interval);
+    if (this.intervals.length > GAP_WINDOW) {
+      this.sortedIntervals.splice(insertAt(this.intervals.shift()), 1);
+    }
+  }
+}
+
+module.exports = { integrateEnergy, integratePower, gapThreshold, EnergyCounter };
@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events
+ *
+ * Minimal text/event-stream response writer, see
+ * https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+
+const EventEmitter = require('events');
+
+// Comment lines sent when idle, so proxies don't close the connection
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+class EventStream extends EventEmitter {
+  /**
+   * Start an event stream response
+   * Emits 'close' when the client disconnects or close() is called, and
+   * 'drain' when the client caught up after send() returned false.
+   * @param {http.ServerResponse} res
+   */
+  constructor(res) {
+    super();
+    this.res = res;
+    this.closed = false;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write(': connected\n\n');
+
+    this.keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+    res.on('close', () => this.close());
+    res.on('drain', () => this.emit('drain'));
+  }
+
+  /**
+   * Send an event
+   * @param {string} event - Event type
+   * @param {Object} data - Payload, sent as JSON
+   * @param {string} id - Event id, sent back by reconnecting clients as Last-Event-ID (optional)
+   * @returns {boolean} false when the client can't keep up: wait for 'drain' before sending more
+   */
+  send(event, data, id) {
+    if (this.closed) {
+      return false;
+    }
+    let message = `event: ${event}\n`;
+    if (id !== undefined) {
+      message += `id: ${id}\n`;
+    }
+    return this.res.write(message + `data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.keepalive);
+    this.res.end();
+    this.emit('close');
+  }
+}
+
+module.exports = { EventStream };
@@ -0,0 +1,375 @@
+/**
+ * InfluxDB Streaming
+ *
+ * Forwards the live measurements to InfluxDB, or any endpoint accepting the
+ * line protocol over HTTP, for fleet-level dashboards. Lines are sent in
+ * batches. While the endpoint is down, the batches go to a backlog directory,
+ * and are sent oldest first once it is back (also after a server restart).
+ *
+ * Each measurement is a line tagged with its meter id, device type and name,
+ * with the normalized measurement fields that aren't null:
+ *   wattmeter,meter=dut,device_type=mpm1010,device_name=MPM-1010 power=1.5,voltage=230.1 1760862600000000000
+ * Extra tags are comma separated [meter:]key=value entries, e.g.
+ * "site=lab1,dut:board=rev2" (tags without a meter apply to each meter).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// Fields: [normalized measurement field, line protocol field]
+const FIELDS = [
+  ['power', 'power'],
+  ['voltage', 'voltage'],
+  ['current', 'current'],
+  ['powerFactor', 'power_factor'],
+  ['frequency', 'frequency'],
+  ['reactivePower', 'reactive_power'],
+  ['apparentPower', 'apparent_power'],
+  ['voltageRange', 'voltage_range'],
+  ['currentRange', 'current_range'],
+  ['function', 'function'],
+  ['fresh', 'fresh']
+];
+
+const BACKLOG_EXTENSION = '.lp';
+
+// Time to wait for the endpoint to respond
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Longest delay between retries, doubling from the retry delay of the writer
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Parse a comma separated list of extra tags
+ * @param {string} spec - e.g. "site=lab1,dut:board=rev2"
+ * @param {string[]} meterIds - Known meter ids
+ * @returns {Object[]} [{ meter, key, value }] where meter is null for every meter
+ */
+function parseTags(spec, meterIds) {
+  if (!spec) {
+    return [];
+  }
+  return spec.split(',').map(text => text.trim()).filter(Boolean).map((tag) => {
+    const match = tag.match(/^(?:([^:=]+):)?([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid tag: ${tag}. Expected [meter:]key=value`);
+    }
+    const [, meter = null, key, value] = match;
+    if (meter && !meterIds.includes(meter)) {
+      throw new Error(`Unknown meter in tag ${tag}: ${meter}`);
+    }
+    return { meter, key: key.trim(), value: value.trim() };
+  });
+}
+
+/**
+ * Get the tags of a meter
+ * @param {Object} channel - Live meter (see createChannel() in wattmeter-server.js)
+ * @param {Object[]} extraTags - See parseTags()
+ * @returns {Object} Tag values by key, without the empty ones
+ */
+function meterTags(channel, extraTags = []) {
+  const tags = { meter: channel.id, device_type: channel.deviceType, device_name: channel.deviceName };
+  for (const { meter, key, value } of extraTags) {
+    if (!meter || meter === channel.id) {
+      tags[key] = value;
+    }
+  }
+  for (const key of Object.keys(tags)) {
+    if (tags[key] === null || tags[key] === undefined || tags[key] === '') {
+      delete tags[key];
+    }
+  }
+  return tags;
+}
+
+/**
+ * Escape a tag key or value, or a field key
+ */
+function escapeKey(text) {
+  return String(text).replace(/[\\,= ]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a field value: numbers as floats, strings quoted
+ * @returns {string|null} null for values the line protocol can't hold (NaN, infinity)
+ */
+function formatField(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : null;
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  return `"${String(value).replace(/[\\"]/g, match => `\\${match}`).replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Format a measurement as a line
+ * @param {string} name - Measurement name, e.g. "wattmeter"
+ * @param {Object} tags - Tag values by key, see meterTags()
+ * @param {Object} measurement - Normalized measurement, see createMeasurement()
+ * @returns {string|null} The line, null when the measurement has no fields
+ */
+function formatLine(name, tags, measurement) {
+  const fields = [];
+  for (const [key, field] of FIELDS) {
+    const value = measurement[key];
+    const formatted = value === null || value === undefined ? null : formatField(value);
+    if (formatted !== null) {
+      fields.push(`${escapeKey(field)}=${formatted}`);
+    }
+  }
+  if (fields.length === 0) {
+    return null;
+  }
+  const tagText = Object.entries(tags).map(([key, value]) => `,${escapeKey(key)}=${escapeKey(value)}`).join('');
+  // Timestamps have microsecond resolution, see lib/clock.js
+  const timestamp = `${Math.round(measurement.timestamp * 1000)}000`;
+  return `${String(name).replace(/[\\, ]/g, match => `\\${match}`)}${tagText} ${fields.join(',')} ${timestamp}`;
+}
+
+/**
+ * POST lines to a line protocol endpoint
+ * @param {string} url - Write URL
+ * @param {string} body - Lines
+ * @param {string|null} token - Sent as "Authorization: Token <token>"
+ * @returns {Promise} Rejects on errors and non-2xx responses (the error has the status)
+ */
+function postLines(url, body, token) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const headers = { 'Content-Type': 'text/plain; charset=utf-8', 'Content-Length': Buffer.byteLength(body) };
+    if (token) {
+      headers.Authorization = `Token ${token}`;
+    }
+    const req = client.request(url, { method: 'POST', headers, timeout: REQUEST_TIMEOUT_MS }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text = (text + chunk).slice(0, 500);
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          const error = new Error(`HTTP ${res.statusCode}${text.trim() ? `: ${text.trim()}` : ''}`);
+          error.status = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Get the order of a backlog file, named <epoch ms>-<n>.lp
+ * @returns {number[]} [time, n]
+ */
+function backlogOrder(file) {
+  return path.basename(file, BACKLOG_EXTENSION).split('-').map(Number);
+}
+
+class InfluxWriter {
+  /**
+   * @param {Object} options
+   *   url: write URL, e.g. http://localhost:8086/api/v2/write?org=lab&bucket=power
+   *   token: API token (default: none)
+   *   backlogDir: directory of the batches waiting for the endpoint
+   *   batchSize: most lines per request (default: 1000)
+   *   flushIntervalMs: longest time lines wait for their batch (default: 1000)
+   *   maxBacklogBytes: the oldest batches are dropped beyond this size (default: 100 MB)
+   *   retryDelayMs: delay before the first retry, doubled until it succeeds (default: 1000)
+   */
+  constructor({
+    url, token = null, backlogDir, batchSize = 1000, flushIntervalMs = 1000,
+    maxBacklogBytes = 100 * 1024 * 1024, retryDelayMs = 1000
+  }) {
+    this.url = url;
+    this.token = token;
+    this.backlogDir = backlogDir;
+    this.batchSize = batchSize;
+    this.maxBacklogBytes = maxBacklogBytes;
+    this.minRetryDelayMs = retryDelayMs;
+    this.lines = []; // Lines waiting for their batch
+    this.backlog = this.readBacklog(); // [{ file, lines, bytes }], oldest first
+    this.retryDelayMs = 0; // 0 while the endpoint is up
+    this.retryAt = 0;
+    this.flushing = null; // Promise of the flush in progress
+    this.sentLines = 0;
+    this.droppedLines = 0;
+    this.nextFile = Math.max(0, ...this.backlog.map(entry => backlogOrder(entry.file)[1])) + 1;
+
+    this.timer = setInterval(() => this.flush(), flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * List the batches left in the backlog directory, e.g. by a previous run
+   */
+  readBacklog() {
+    let files;
+    try {
+      files = fs.readdirSync(this.backlogDir).filter(file => file.endsWith(BACKLOG_EXTENSION));
+    } catch (error) {
+      return [];
+    }
+    files.sort((a, b) => backlogOrder(a)[0] - backlogOrder(b)[0] || backlogOrder(a)[1] - backlogOrder(b)[1]);
+    return files.map((file) => {
+      const text = fs.readFileSync(path.join(this.backlogDir, file), 'utf8');
+      return { file: path.join(this.backlogDir, file), lines: text.split('\n').filter(Boolean).length, bytes: Buffer.byteLength(text) };
+    });
+  }
+
+  /**
+   * @returns {number} Size of the backlog in bytes
+   */
+  get backlogBytes() {
+    return this.backlog.reduce((sum, entry) => sum + entry.bytes, 0);
+  }
+
+  /**
+   * Queue a line, sending the batch once it is full
+   */
+  write(line) {
+    this.lines.push(line);
+    if (this.lines.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send the queued lines, then the backlog
+   * Flushes don't overlap: this returns the flush in progress, if any.
+   * @param {Object} options - drain: false to leave the backlog for later (default: true)
+   * @returns {Promise}
+   */
+  flush({ drain = true } = {}) {
+    if (!this.flushing) {
+      this.flushing = this.sendPending(drain).catch((error) => {
+        console.error(`InfluxDB flush failed: ${error.message}`);
+      }).finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async sendPending(drain) {
+    // Lines queued while sending wait for the next flush
+    const pending = this.lines.splice(0);
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const lines = pending.slice(i, i + this.batchSize);
+      // Keep the order: lines wait behind the backlog
+      const down = this.backlog.length > 0 || Date.now() < this.retryAt;
+      if (down || await this.send(lines.join('\n') + '\n', lines.length) === 'retry') {
+        this.saveBacklog(lines);
+      }
+    }
+
+    while (drain && this.backlog.length > 0 && Date.now() >= this.retryAt) {
+      const [entry] = this.backlog;
+      let body;
+      try {
+        body = fs.readFileSync(entry.file, 'utf8');
+      } catch (error) {
+        // E.g. removed by hand: skip it rather than retrying it forever
+        console.error(`InfluxDB backlog file unreadable, dropped its ${entry.lines} lines: ${error.message}`);
+        this.droppedLines += entry.lines;
+        this.backlog.shift();
+        continue;
+      }
+      if (await this.send(body, entry.lines) === 'retry') {
+        break;
+      }
+      fs.rmSync(entry.file, { force: true });
+      this.backlog.shift();
+      if (this.backlog.length === 0) {
+        console.log('✓ InfluxDB backlog sent');
+      }
+    }
+  }
+
+  /**
+   * POST a batch
+   * @returns {Promise<string>} "sent", "rejected" (dropped, the endpoint won't
+   *   take it, e.g. HTTP 400) or "retry" (the endpoint is down)
+   */
+  async send(body, count) {
+    try {
+      await postLines(this.url, body, this.token);
+      if (this.retryDelayMs > 0) {
+        console.log('✓ InfluxDB reachable again');
+      }
+      this.retryDelayMs = 0;
+      this.retryAt = 0;
+      this.sentLines += count;
+      return 'sent';
+    } catch (error) {
+      if (error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429) {
+        console.error(`InfluxDB rejected ${count} lines: ${error.message}`);
+        this.droppedLines += count;
+        return 'rejected';
+      }
+      if (this.retryDelayMs === 0) {
+        console.log(`⚠ InfluxDB write failed: ${error.message}, keeping the measurements in ${this.backlogDir}`);
+      }
+      this.retryDelayMs = Math.min(Math.max(this.retryDelayMs * 2, this.minRetryDelayMs), MAX_RETRY_DELAY_MS);
+      this.retryAt = Date.now() + this.retryDelayMs;
+      return 'retry';
+    }
+  }
+
+  /**
+   * Append lines to the backlog, in files of up to batchSize lines
+   * Drops the oldest files beyond maxBacklogBytes, and the lines themselves if
+   * the backlog directory can't be written (read-only, disk full...).
+   */
+  saveBacklog(lines) {
+    const text = lines.join('\n') + '\n';
+    let entry = this.backlog.at(-1);
+    const newFile = !entry || entry.lines + lines.length > this.batchSize;
+    try {
+      if (newFile) {
+        fs.mkdirSync(this.backlogDir, { recursive: true });
+        entry = { file: path.join(this.backlogDir, `${Date.now()}-${this.nextFile++}${BACKLOG_EXTENSION}`), lines: 0, bytes: 0 };
+      }
+      fs.appendFileSync(entry.file, text);
+    } catch (error) {
+      console.error(`InfluxDB backlog write failed, dropped ${lines.length} lines: ${error.message}`);
+      this.droppedLines += lines.length;
+      return;
+    }
+    if (newFile) {
+      this.backlog.push(entry);
+    }
+    entry.lines += lines.length;
+    entry.bytes += Buffer.byteLength(text);
+
+    while (this.backlog.length > 1 && this.backlogBytes > this.maxBacklogBytes) {
+      const dropped = this.backlog.shift();
+      fs.rmSync(dropped.file, { force: true });
+      this.droppedLines += dropped.lines;
+      console.log(`⚠ InfluxDB backlog full, dropped its ${dropped.lines} oldest lines`);
+    }
+  }
+
+  /**
+   * Stop the flush timer and send the queued lines (to the backlog when the
+   * endpoint is down)
+   */
+  async close() {
+    clearInterval(this.timer);
+    if (this.flushing) {
+      await this.flushing;
+    }
+    await this.flush({ drain: false });
+  }
+}
+
+module.exports = { parseTags, meterTags, formatLine, InfluxWriter };
@@ -0,0 +1,161 @@
+/**
+ * Prometheus Metrics
+ *
+ * Exposes the live meters in the OpenMetrics text format for GET /metrics, so
+ * Prometheus can scrape the server like the other lab machines. Every series
+ * has the meter id, device type and device name (from identify()) as labels.
+ *
+ * Gauges hold the latest value a meter reported: meters cycling through
+ * functions (e.g. ISW8001_FUNCTIONS) keep the latest power while sending
+ * other values. The energy counter integrates power like lib/energy.js, from
+ * the start of the server, so it keeps counting when samples are spilled.
+ */
+
+const { EnergyCounter } = require('./energy.js');
+const clock = require('./clock.js');
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Gauges of the latest sample: [SampleStore column, metric name, unit, help]
+const GAUGES = [
+  ['power', 'wattmeter_power_watts', 'watts', 'Active power'],
+  ['voltage', 'wattmeter_voltage_volts', 'volts', 'RMS voltage'],
+  ['current', 'wattmeter_current_amperes', 'amperes', 'RMS current'],
+  ['powerFactor', 'wattmeter_power_factor', null, 'Power factor'],
+  ['frequency', 'wattmeter_frequency_hertz', 'hertz', 'Line frequency']
+];
+
+// Kinds of link errors, see MeterDriver.countLinkError()
+const LINK_ERRORS = ['port', 'timeout', 'frame'];
+
+/**
+ * Running totals and latest values of a live meter
+ */
+class MeterMetrics {
+  constructor() {
+    this.samples = 0;
+    this.energyJoules = 0;
+    this.latest = {}; // Latest value of each GAUGES column, and the voltage and current ranges
+    this.lastTimeMs = null; // Time of the latest sample
+    this.energy = new EnergyCounter();
+  }
+
+  /**
+   * Count a sample
+   * Like integratePower(), the power of a sample counts from the previous
+   * sample with power, unless that is a gap.
+   * @param {number} timeMs - Sample time
+   * @param {Object} sample - Normalized measurement
+   */
+  add(timeMs, sample) {
+    this.energyJoules += this.energy.add(timeMs, typeof sample.power === 'number' ? sample.power : null);
+    this.samples++;
+    this.lastTimeMs = timeMs;
+
+    for (const [column] of GAUGES) {
+      if (typeof sample[column] === 'number' && !isNaN(sample[column])) {
+        this.latest[column] = sample[column];
+      }
+    }
+    for (const column of ['voltageRange', 'currentRange']) {
+      if (sample[column]) {
+        this.latest[column] = sample[column];
+      }
+    }
+  }
+}
+
+/**
+ * Escape a label value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a sample value (OpenMetrics spells infinity +Inf and -Inf)
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Format metric families as an OpenMetrics text exposition
+ * @param {Object[]} families - [{ name, type, unit, help, samples }] where type is
+ *   gauge, counter or info, unit is null without unit, and samples is
+ *   [{ labels, value }]. Counter samples get the _total suffix, info ones _info.
+ * @returns {string}
+ */
+function formatOpenMetrics(families) {
+  const lines = [];
+  for (const { name, type, unit, help, samples } of families) {
+    lines.push(`# TYPE ${name} ${type}`);
+    if (unit) {
+      lines.push(`# UNIT ${name} ${unit}`);
+    }
+    lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    const suffix = type === 'counter' ? '_total' : type === 'info' ? '_info' : '';
+    for (const { labels, value } of samples) {
+      const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`);
+      lines.push(`${name}${suffix}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`);
+    }
+  }
+  lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get the metric families of the live meters
+ * @param {Object[]} meters - Live meters (see createChannel() in wattmeter-server.js)
+ * @param {number} startTime - Epoch time in ms the sample times are relative to
+ * @returns {Object[]} Families for formatOpenMetrics()
+ */
+function meterFamilies(meters, startTime) {
+  const family = (name, type, unit, help) => ({ name, type, unit, help, samples: [] });
+  const up = family('wattmeter_up', 'gauge', null, 'Whether the meter is streaming (1) or not (0)');
+  const gauges = GAUGES.map(([column, name, unit, help]) => ({ column, ...family(name, 'gauge', unit, help) }));
+  const energy = family('wattmeter_energy_joules', 'counter', 'joules', 'Energy measured since the server started');
+  const samples = family('wattmeter_samples', 'counter', null, 'Samples received since the server started');
+  const linkErrors = family('wattmeter_link_errors', 'counter', null,
+    'Serial link errors: port errors, response timeouts and undecodable frames');
+  const ranges = family('wattmeter_range', 'info', null, 'Active voltage and current ranges');
+  const lastSample = family('wattmeter_last_sample_timestamp_seconds', 'gauge', 'seconds', 'Time of the latest sample');
+
+  for (const channel of meters) {
+    const labels = { meter: channel.id, device_type: channel.deviceType, device_name: channel.deviceName || '' };
+    const { metrics } = channel;
+
+    up.samples.push({ labels, value: channel.status.state === 'streaming' ? 1 : 0 });
+    for (const gauge of gauges) {
+      if (metrics.latest[gauge.column] !== undefined) {
+        gauge.samples.push({ labels, value: metrics.latest[gauge.column] });
+      }
+    }
+    energy.samples.push({ labels, value: metrics.energyJoules });
+    samples.samples.push({ labels, value: metrics.samples });
+    for (const kind of LINK_ERRORS) {
+      linkErrors.samples.push({ labels: { ...labels, kind }, value: channel.meter.linkErrors[kind] });
+    }
+    if (metrics.latest.voltageRange || metrics.latest.currentRange) {
+      ranges.samples.push({
+        labels: { ...labels, voltage_range: metrics.latest.voltageRange || '', current_range: metrics.latest.currentRange || '' },
+        value: 1
+      });
+    }
+    if (metrics.lastTimeMs !== null) {
+      lastSample.samples.push({ labels, value: clock.absolute(startTime, metrics.lastTimeMs) / 1000 });
+    }
+  }
+
+  return [up, ...gauges, energy, samples, linkErrors, ranges, lastSample]
+    .filter(metric => metric.samples.length > 0)
+    .map(({ column, ...rest }) => rest);
+}
+
+module.exports = { CONTENT_TYPE, MeterMetrics, formatOpenMetrics, meterFamilies };
@@ -0,0 +1,147 @@
+/**
+ * NDJSON Export
+ *
+ * Exports the samples of a recording with all their fields, one JSON object
+ * per line, for scripts and data pipelines. Unlike the recording logs (see
+ * lib/recording-log.js), every line is self-describing, null fields are kept,
+ * and the samples of all meters are in time order:
+ *   {"type":"header","version":1,"recording":"...","startTime":<epoch ms>,"session":null,"sampleMode":"all","meters":[...]}
+ *   {"type":"sample","meter":"dut","t":12.345,"time":<epoch ms>,"power":1.5,...,"updateTime":10.2,"latency":1.25}
+ *   {"type":"marker","id":"1","meter":"dut","name":"Function","timeMs":12.3,"data":{...}}
+ * t, timeMs and updateTime are in ms since startTime, the start of the exported range.
+ */
+
+const { COLUMNS } = require('./sample-store.js');
+const { pageRecording } = require('./sessions.js');
+const { meterHeaders } = require('./recording-log.js');
+const { baselinePower } = require('./stats.js');
+const clock = require('./clock.js');
+
+const EXPORT_VERSION = 1;
+
+// Lines per chunk of the export
+const CHUNK_LINES = 1000;
+
+/**
+ * Cursor over the samples of a meter, reading its pages as they are needed
+ */
+class SampleCursor {
+  constructor(channel, pages) {
+    this.channel = channel;
+    this.pages = pages;
+    this.series = null;
+    this.index = 0;
+    this.nextPage();
+  }
+
+  nextPage() {
+    const { value, done } = this.pages.next();
+    this.series = done ? null : value;
+    this.index = 0;
+  }
+
+  /**
+   * Time of the current sample, null after the last one
+   */
+  time() {
+    return this.series ? this.series.times[this.index] : null;
+  }
+
+  /**
+   * Get the current sample and move to the next one
+   */
+  take() {
+    const sample = {};
+    for (const column of COLUMNS) {
+      sample[column] = this.series[column][this.index] !== undefined ? this.series[column][this.index] : null;
+    }
+    this.index++;
+    if (this.index >= this.series.times.length) {
+      this.nextPage();
+    }
+    return sample;
+  }
+}
+
+/**
+ * Generate the lines of an export
+ * @param {Object} header - Header line
+ * @param {SampleCursor[]} cursors - Samples of each meter
+ * @param {Object[]} markers - Markers, sorted by time
+ * @param {number} start - Start of the exported range, in ms since the start of the recording
+ * @yields {string} Chunks of lines
+ */
+function* exportLines(header, cursors, markers, start) {
+  let chunk = [JSON.stringify(header)];
+  let markerIndex = 0;
+  for (;;) {
+    // Merge the meters by time: samples of the same time keep the order of
+    // the meters, and come before the markers
+    let next = null;
+    for (const cursor of cursors) {
+      if (cursor.series && (next === null || cursor.time() < next.time())) {
+        next = cursor;
+      }
+    }
+    const marker = markers[markerIndex];
+    if (marker && (next === null || marker.timeMs < next.time())) {
+      chunk.push(JSON.stringify({ type: 'marker', ...marker }));
+      markerIndex++;
+    } else if (next) {
+      const t = next.time();
+      const sample = { type: 'sample', meter: next.channel.id, t, time: clock.absolute(header.startTime, t), ...next.take() };
+      if (typeof sample.updateTime === 'number') {
+        sample.updateTime = clock.since(start, sample.updateTime);
+      }
+      chunk.push(JSON.stringify(sample));
+    } else {
+      break;
+    }
+    if (chunk.length >= CHUNK_LINES) {
+      yield chunk.join('\n') + '\n';
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    yield chunk.join('\n') + '\n';
+  }
+}
+
+/**
+ * Export a recording (see openRecording() and the server's live recording)
+ * The samples are read as the lines are consumed, so long recordings can be
+ * streamed without holding all their samples in memory.
+ * @param {Object} recording - { id, startTime, meters, markers }
+ * @param {Object} options - session, mode, from and to, see sliceRecording()
+ * @returns {Iterator<string>|null} Chunks of lines, or null without samples
+ */
+function recordingNdjson(recording, options = {}) {
+  const { session = null, mode = 'all' } = options;
+  const { start, meters, markers } = pageRecording(recording, options);
+  const cursors = meters.map(({ channel, pages }) => new SampleCursor(channel, pages));
+  if (!cursors.some(cursor => cursor.series)) {
+    return null;
+  }
+  const startTime = clock.absolute(recording.startTime, start);
+
+  const header = {
+    type: 'header',
+    version: EXPORT_VERSION,
+    recording: recording.id,
+    startTime,
+    session: session ? session.id : null,
+    sampleMode: mode,
+    meters: meterHeaders(recording.meters).map(meter => ({
+      ...meter,
+      baselinePower: baselinePower(session && session.baseline, meter.id)
+    }))
+  };
+  // Stable: markers of the same time keep their order
+  const sortedMarkers = markers.map((marker, index) => [marker, index])
+    .sort(([a, i], [b, j]) => a.timeMs - b.timeMs || i - j)
+    .map(([marker]) => marker);
+
+  return exportLines(header, cursors, sortedMarkers, start);
+}
+
+module.exports = { recordingNdjson };
@@ -0,0 +1,206 @@
+/**
+ * Firefox Profiler Merge
+ *
+ * Inserts the power tracks and markers of a wattmeter profile (see
+ * buildProfile()) into a profile recorded by Firefox, aligned by wall-clock
+ * time, so power shows up on the same timeline as the browser threads.
+ *
+ * Both the Gecko format (profiles saved by Firefox, e.g. about:profiling) and
+ * the processed format (profiles saved from profiler.firefox.com) are
+ * supported. Counters go to the parent process, markers to its main thread.
+ */
+
+const { recordingProfile } = require('./profile.js');
+
+/**
+ * Check that a profile can be merged into
+ * @returns {boolean} Whether the profile is in the processed format
+ */
+function checkProfile(profile) {
+  if (!profile || !profile.meta || typeof profile.meta.startTime !== 'number' || !Array.isArray(profile.threads)) {
+    throw new Error('Not a Firefox Profiler profile');
+  }
+  return profile.meta.preprocessedProfileVersion !== undefined;
+}
+
+/**
+ * Get the index of the thread receiving the markers
+ */
+function mainThreadIndex(profile, processed) {
+  const index = processed
+    ? profile.threads.findIndex(thread => thread.isMainThread && thread.processType === 'default')
+    : profile.threads.findIndex(thread => thread.name === 'GeckoMain');
+  if (index >= 0) {
+    return index;
+  }
+  if (profile.threads.length === 0) {
+    throw new Error('The profile has no threads');
+  }
+  return 0;
+}
+
+/**
+ * Get the wall-clock time range covered by a profile
+ * @returns {Object|null} { start, end } in epoch ms, null without samples or markers
+ */
+function profileTimeRange(profile) {
+  const processed = checkProfile(profile);
+  const { meta } = profile;
+  if (processed && typeof meta.profilingStartTime === 'number' && typeof meta.profilingEndTime === 'number') {
+    return { start: meta.startTime + meta.profilingStartTime, end: meta.startTime + meta.profilingEndTime };
+  }
+
+  let start = Infinity;
+  let end = -Infinity;
+  const add = (origin, time) => {
+    if (typeof time === 'number') {
+      start = Math.min(start, origin + time);
+      end = Math.max(end, origin + time);
+    }
+  };
+  const addProfile = (subprofile) => {
+    const origin = subprofile.meta.startTime;
+    for (const thread of subprofile.threads) {
+      if (processed) {
+        let time = 0;
+        const { samples, markers } = thread;
+        for (let i = 0; i < samples.length; i++) {
+          time = samples.time ? samples.time[i] : time + samples.timeDeltas[i];
+          add(origin, time);
+        }
+        markers.startTime.forEach(time => add(origin, time));
+        markers.endTime.forEach(time => add(origin, time));
+      } else {
+        const { samples, markers } = thread;
+        samples.data.forEach(row => add(origin, row[samples.schema.time]));
+        for (const row of markers.data) {
+          add(origin, row[markers.schema.startTime]);
+          add(origin, row[markers.schema.endTime]);
+        }
+      }
+    }
+    for (const child of subprofile.processes || []) {
+      addProfile(child);
+    }
+  };
+  addProfile(profile);
+
+  return start <= end ? { start, end } : null;
+}
+
+/**
+ * Merge a wattmeter profile into a Firefox profile
+ * @param {Object} target - Firefox profile, modified in place
+ * @param {Object} power - Wattmeter profile, see buildProfile()
+ * @returns {Object} The target profile
+ */
+function mergeProfile(target, power) {
+  const processed = checkProfile(target);
+  const threadIndex = mainThreadIndex(target, processed);
+  const thread = target.threads[threadIndex];
+  // Times of both profiles are relative to their startTime
+  const shift = power.meta.startTime - target.meta.startTime;
+
+  // Marker schemas, the target's own win on name conflicts
+  target.meta.markerSchema = target.meta.markerSchema || [];
+  for (const schema of power.meta.markerSchema) {
+    if (!target.meta.markerSchema.some(existing => existing.name === schema.name)) {
+      target.meta.markerSchema.push(schema);
+    }
+  }
+  const categories = target.meta.categories || [];
+  const otherCategory = Math.max(categories.findIndex(category => category.name === 'Other'), 0);
+
+  // Counters
+  target.counters = target.counters || [];
+  const useTimeDeltas = target.counters.some(counter => counter.samples && counter.samples.timeDeltas);
+  const useSampleGroups = target.counters.some(counter => counter.sample_groups);
+  for (const counter of power.counters) {
+    const times = counter.samples.time.map(time => time + shift);
+    if (processed) {
+      const samples = { count: counter.samples.count, length: counter.samples.length };
+      if (useTimeDeltas) {
+        samples.timeDeltas = times.map((time, i) => i === 0 ? time : time - times[i - 1]);
+      } else {
+        samples.time = times;
+      }
+      target.counters.push({ ...counter, pid: thread.pid, mainThreadIndex: threadIndex, samples });
+    } else {
+      const samples = {
+        schema: { time: 0, count: 1, number: 2 },
+        data: times.map((time, i) => [time, counter.samples.count[i], 1])
+      };
+      const { name, category, description } = counter;
+      target.counters.push(useSampleGroups
+        ? { name, category, description, sample_groups: [{ id: 0, samples }] }
+        : { name, category, description, samples });
+    }
+  }
+
+  // Markers
+  const source = power.threads[0];
+  const sourceStrings = source.stringTable._array;
+  let strings;
+  if (processed) {
+    strings = (target.shared && target.shared.stringArray) || thread.stringArray || thread.stringTable._array;
+  } else {
+    strings = thread.stringTable;
+  }
+  const stringIndexes = new Map();
+  const stringIndex = (string) => {
+    if (!stringIndexes.has(string)) {
+      const existing = strings.indexOf(string);
+      stringIndexes.set(string, existing >= 0 ? existing : strings.push(string) - 1);
+    }
+    return stringIndexes.get(string);
+  };
+
+  const { markers } = thread;
+  const { phase } = source.markers;
+  for (let i = 0; i < source.markers.length; i++) {
+    const name = stringIndex(sourceStrings[source.markers.name[i]]);
+    const startTime = source.markers.startTime[i] + shift;
+    const endTime = source.markers.endTime[i] !== null ? source.markers.endTime[i] + shift : null;
+    const data = source.markers.data[i];
+    if (processed) {
+      markers.name.push(name);
+      markers.startTime.push(startTime);
+      markers.endTime.push(endTime);
+      markers.phase.push(phase[i]);
+      markers.category.push(otherCategory);
+      markers.data.push(data);
+      markers.length++;
+    } else {
+      const row = [];
+      row[markers.schema.name] = name;
+      row[markers.schema.startTime] = startTime;
+      row[markers.schema.endTime] = endTime;
+      row[markers.schema.phase] = phase[i];
+      row[markers.schema.category] = otherCategory;
+      row[markers.schema.data] = data;
+      markers.data.push(row);
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Merge the samples of a recording taken while a Firefox profile was recorded
+ * @param {Object} target - Firefox profile, modified in place
+ * @param {Object} recording - { startTime, meters, markers }, see recordingProfile()
+ * @param {Object} options - { mode } sample mode
+ * @returns {Object} The target profile
+ */
+function mergeRecording(target, recording, { mode = 'all' } = {}) {
+  const range = profileTimeRange(target);
+  const power = recordingProfile(recording, range
+    ? { mode, from: range.start - recording.startTime, to: range.end - recording.startTime }
+    : { mode });
+  if (!power) {
+    throw new Error('No samples of the recording during the profile');
+  }
+  return mergeProfile(target, power);
+}
+
+module.exports = { profileTimeRange, mergeProfile, mergeRecording };
@@ -0,0 +1,448 @@
+/**
+ * Firefox Profiler Export
+ *
+ * Builds profiles in the Gecko format of the Firefox Profiler
+ * (https://profiler.firefox.com/) from recorded samples: one energy counter
+ * per meter (and one above the session's baseline), plus markers for the
+ * voltage, current, power factor, frequency, reactive and apparent power,
+ * range changes, the server's markers (including the user markers of
+ * POST /marker) and the MPM-1010 debug timing events.
+ */
+
+const { inTimeRange, sliceRecording } = require('./sessions.js');
+const { baselinePower } = require('./stats.js');
+const { gapThreshold } = require('./energy.js');
+const clock = require('./clock.js');
+
+const BASE_PROFILE = '{"meta":{"interval":1000,"startTime":0,"abi":"","misc":"","oscpu":"","platform":"","processType":0,"extensions":{"id":[],"name":[],"baseURL":[],"length":0},"categories":[{"name":"Other","color":"grey","subcategories":["Other"]}],"product":"Home power profiling","stackwalk":0,"toolkit":"","version":27,"preprocessedProfileVersion":48,"appBuildID":"","sourceURL":"","symbolicationNotSupported":true,"markerSchema":[]},"libs":[],"pages":[],"threads":[{"processType":"default","processStartupTime":0,"processShutdownTime":null,"registerTime":0,"unregisterTime":null,"pausedRanges":[],"name":"GeckoMain","isMainThread":true,"pid":"0","tid":0,"samples":{"weightType":"samples","weight":null,"eventDelay":[],"stack":[],"time":[],"length":0},"markers":{"data":[],"name":[],"startTime":[],"endTime":[],"phase":[],"category":[],"length":0},"stackTable":{"frame":[0],"prefix":[null],"category":[0],"subcategory":[0],"length":1},"frameTable":{"address":[-1],"inlineDepth":[0],"category":[null],"subcategory":[0],"func":[0],"nativeSymbol":[null],"innerWindowID":[0],"implementation":[null],"line":[null],"column":[null],"length":1},"stringTable":{"_array":["(root)"],"_stringToIndex":{}},"funcTable":{"isJS":[false],"relevantForJS":[false],"name":[0],"resource":[-1],"fileName":[null],"lineNumber":[null],"columnNumber":[null],"length":1},"resourceTable":{"lib":[],"name":[],"host":[],"type":[],"length":0},"nativeSymbols":{"libIndex":[],"address":[],"name":[],"functionSize":[],"length":0}}],"counters":[]}';
+
+// Marker schemas, data.type of each marker is one of the names
+const MARKER_SCHEMA = [
+  {
+    name: 'volt',
+    tooltipLabel: '{marker.data.v}',
+    display: [],
+    data: [{ key: 'v', label: 'Voltage', format: 'string' }],
+    graphs: [{ key: 'v', color: 'orange', type: 'line-filled' }]
+  },
+  {
+    name: 'amp',
+    tooltipLabel: '{marker.data.a} A',
+    display: [],
+    data: [{ key: 'a', label: 'Current (A)', format: 'string' }],
+    graphs: [{ key: 'a', color: 'red', type: 'line-filled' }]
+  },
+  {
+    name: 'pf',
+    tooltipLabel: '{marker.data.pf}',
+    display: [],
+    data: [{ key: 'pf', label: 'Power factor', format: 'string' }],
+    graphs: [{ key: 'pf', color: 'blue', type: 'line-filled' }]
+  },
+  {
+    name: 'freq',
+    tooltipLabel: '{marker.data.f} Hz',
+    display: [],
+    data: [{ key: 'f', label: 'Frequency (Hz)', format: 'string' }],
+    graphs: [{ key: 'f', color: 'grey', type: 'line-filled' }]
+  },
+  {
+    name: 'var',
+    tooltipLabel: '{marker.data.q} VAr',
+    display: [],
+    data: [{ key: 'q', label: 'Reactive power (VAr)', format: 'string' }],
+    graphs: [{ key: 'q', color: 'purple', type: 'line-filled' }]
+  },
+  {
+    name: 'va',
+    tooltipLabel: '{marker.data.s} VA',
+    display: [],
+    data: [{ key: 's', label: 'Apparent power (VA)', format: 'string' }],
+    graphs: [{ key: 's', color: 'green', type: 'line-filled' }]
+  },
+  {
+    name: 'range',
+    tooltipLabel: '{marker.data.range}',
+    display: ['marker-chart', 'marker-table'],
+    data: [
+      { key: 'range', label: 'Range', format: 'string' },
+      { key: 'from', label: 'From', format: 'string' }
+    ]
+  },
+  {
+    name: 'function',
+    tooltipLabel: '{marker.data.function}',
+    display: ['marker-chart', 'marker-table'],
+    data: [
+      { key: 'function', label: 'Function', format: 'string' },
+      { key: 'from', label: 'From', format: 'string' }
+    ]
+  },
+  {
+    name: 'trigger',
+    tooltipLabel: '{marker.data.rule}',
+    display: ['marker-chart', 'marker-table'],
+    data: [
+      { key: 'rule', label: 'Rule', format: 'string' },
+      { key: 'value', label: 'Value', format: 'string' }
+    ]
+  },
+  {
+    name: 'alert',
+    tooltipLabel: '{marker.data.rule}',
+    display: ['marker-chart', 'marker-table'],
+    data: [
+      { key: 'rule', label: 'Rule', format: 'string' },
+      { key: 'value', label: 'Value', format: 'number' },
+      { key: 'peak', label: 'Peak', format: 'number' }
+    ]
+  },
+  {
+    name: 'process',
+    tooltipLabel: '{marker.data.command}',
+    display: ['marker-chart', 'marker-table'],
+    data: [
+      { key: 'command', label: 'Command', format: 'string' },
+      { key: 'pid', label: 'PID', format: 'integer' },
+      { key: 'exitCode', label: 'Exit code', format: 'integer' }
+    ]
+  },
+  {
+    name: 'request-sent',
+    tooltipLabel: 'Request sent',
+    display: ['marker-chart', 'marker-table'],
+    data: []
+  },
+  {
+    name: 'data-received',
+    tooltipLabel: '{marker.data.bytes} bytes: {marker.data.data}',
+    display: ['marker-chart', 'marker-table'],
+    data: [
+      { key: 'bytes', label: 'Bytes', format: 'integer' },
+      { key: 'data', label: 'Data (hex)', format: 'string' }
+    ]
+  },
+  {
+    name: 'measurement-complete',
+    tooltipLabel: 'Measurement complete',
+    display: ['marker-chart', 'marker-table'],
+    data: []
+  }
+];
+
+// Instant markers of the sample series: [column, marker name, data.type, data key]
+const SERIES_MARKERS = [
+  ['voltage', 'Voltage', 'volt', 'v'],
+  ['current', 'Current', 'amp', 'a'],
+  ['powerFactor', 'Power Factor', 'pf', 'pf'],
+  ['frequency', 'Frequency', 'freq', 'f'],
+  // ISW8001 function multiplexing
+  ['reactivePower', 'Reactive Power', 'var', 'q', true],
+  ['apparentPower', 'Apparent Power', 'va', 's', true]
+];
+
+// Markers of the MPM-1010 debug timing events: [event type, marker name]
+const DEBUG_TIMING_MARKERS = [
+  ['request-sent', 'Request Sent'],
+  ['data-received', 'Data Received'],
+  ['measurement-complete', 'Measurement Complete']
+];
+
+function wattSecondToPicoWattHour(value) {
+  return Math.round(value / 3600 * 1e12);
+}
+
+/**
+ * Create a power counter track
+ * @param {number[]} times - Sample times in ms
+ * @param {number[]} samples - Energy since the previous sample, in pWh
+ */
+function counterObject(name, description, times, samples) {
+  const time = [];
+  // Remove consecutive 0 samples.
+  const count = samples.filter((sample, index) => {
+    const keep = sample !== 0 || index === 0 || index === samples.length - 1 ||
+      samples[index - 1] !== 0 || samples[index + 1] !== 0;
+    if (keep) {
+      time.push(times[index]);
+    }
+    return keep;
+  });
+  return {
+    name,
+    category: 'power',
+    description,
+    pid: '0',
+    mainThreadIndex: 0,
+    samples: {
+      time, count, length: count.length
+    }
+  };
+}
+
+/**
+ * Describe the data of the user markers (POST /marker)
+ * Their data is free-form: the schema lists every key used, as numbers when
+ * all values of a key are numbers.
+ * @param {Object[]} serverMarkers
+ * @returns {Object} The 'user' marker schema
+ */
+function userMarkerSchema(serverMarkers) {
+  const formats = new Map();
+  for (const marker of serverMarkers) {
+    if (marker.data.type !== 'user') {
+      continue;
+    }
+    for (const [key, value] of Object.entries(marker.data)) {
+      if (key !== 'type') {
+        const format = typeof value === 'number' && formats.get(key) !== 'string' ? 'number' : 'string';
+        formats.set(key, format);
+      }
+    }
+  }
+  return {
+    name: 'user',
+    tooltipLabel: '{marker.name}',
+    display: ['marker-chart', 'marker-table'],
+    data: [...formats].map(([key, format]) => ({ key, label: key, format }))
+  };
+}
+
+/**
+ * Get the profile data of a server marker
+ * User marker values that aren't numbers or strings are shown as JSON.
+ */
+function markerData(data) {
+  if (data.type !== 'user') {
+    return data;
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(data)) {
+    result[key] = typeof value === 'number' || typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return result;
+}
+
+/**
+ * Build a profile
+ * @param {Object} options
+ *   startTime: epoch time in ms the times are relative to
+ *   meters: [{ id, label, deviceName, deviceVersion, series, debugTimingEvents, baseline }]
+ *     where series has the columns of SampleStore.slice(), and baseline is the
+ *     idle power in W for an additional net counter (optional)
+ *   markers: server markers ({ meter, name, timeMs, endTimeMs, data }), endTimeMs
+ *     for intervals only (null while running), meter null for the whole recording
+ * @returns {Object|null} The profile, or null without samples
+ */
+function buildProfile({ startTime, meters, markers: serverMarkers = [] }) {
+  const metersWithData = meters.filter(meter => meter.series.power.length > 0);
+  if (metersWithData.length === 0) {
+    return null;
+  }
+
+  const profile = JSON.parse(BASE_PROFILE);
+  profile.meta.markerSchema = [...MARKER_SCHEMA, userMarkerSchema(serverMarkers)];
+
+  // Use the exact timestamps of the data (microsecond resolution)
+  // All meters share the server's clock, so their sample times line up
+  const meterTimes = {};
+  for (const meter of metersWithData) {
+    meterTimes[meter.id] = meter.series.times;
+  }
+  const lastTime = Math.max(...metersWithData.map(meter => meterTimes[meter.id].at(-1)));
+
+  // The thread samples use the times of the meter with the most samples
+  const times = Object.values(meterTimes).reduce((longest, t) => t.length > longest.length ? t : longest);
+
+  // Calculate average sampling interval
+  let avgInterval = 1000; // Default to 1s
+  if (times.length > 1) {
+    avgInterval = Math.round((times.at(-1) - times[0]) / (times.length - 1));
+  }
+
+  profile.meta.interval = avgInterval;
+  profile.meta.startTime = startTime;
+  profile.meta.profilingStartTime = 0;
+  profile.meta.profilingEndTime = lastTime;
+  profile.meta.product = metersWithData.map(meter =>
+    meter.deviceVersion ? `${meter.deviceName} ${meter.deviceVersion}` : meter.deviceName).join(', ');
+
+  const { samples, markers, stringTable } = profile.threads[0];
+  samples.stack = new Array(times.length).fill(0);
+  samples.time = times;
+  samples.length = times.length;
+
+  function addInstantMarker(time, nameIndex, data) {
+    markers.startTime.push(time);
+    markers.endTime.push(null);
+    markers.phase.push(0); // instant marker
+    markers.category.push(0);
+    markers.name.push(nameIndex);
+    markers.data.push(data);
+  }
+
+  function addIntervalMarker(time, endTime, nameIndex, data) {
+    markers.startTime.push(time);
+    markers.endTime.push(endTime);
+    markers.phase.push(endTime !== null ? 1 : 2); // interval, or interval start while it lasts
+    markers.category.push(0);
+    markers.name.push(nameIndex);
+    markers.data.push(data);
+  }
+
+  function addString(string) {
+    const index = stringTable._array.length;
+    stringTable._array.push(string);
+    return index;
+  }
+
+  function addServerMarkers(list, prefix) {
+    const nameIndexes = {};
+    for (const marker of list) {
+      const name = prefix + marker.name;
+      if (!(name in nameIndexes)) {
+        nameIndexes[name] = addString(name);
+      }
+      if (marker.endTimeMs === undefined) {
+        addInstantMarker(marker.timeMs, nameIndexes[name], markerData(marker.data));
+      } else {
+        addIntervalMarker(marker.timeMs, marker.endTimeMs, nameIndexes[name], markerData(marker.data));
+      }
+    }
+  }
+
+  // Add the markers of the whole recording
+  addServerMarkers(serverMarkers.filter(marker => !marker.meter), '');
+
+  for (const meter of metersWithData) {
+    const { series } = meter;
+    const times = meterTimes[meter.id];
+    // Marker names get the meter label as prefix when there are several meters
+    const prefix = metersWithData.length > 1 ? `${meter.label} ` : '';
+
+    // Convert power (watts) to energy (picowatt-hours) between samples
+    // Energy at sample i = power[i] × time interval from the previous power sample to sample i
+    // Samples of other functions (null power) are skipped, and gaps are left
+    // out like in integratePower()
+    const counterTimes = [];
+    const energyData = [];
+    const netEnergyData = [];
+    const hasBaseline = typeof meter.baseline === 'number';
+    const maxIntervalMs = gapThreshold(times, series.power);
+    let previous = null;
+    for (let i = 0; i < series.power.length; ++i) {
+      if (series.power[i] === null) {
+        continue;
+      }
+      let intervalSeconds;
+      if (previous === null) {
+        // First sample: use average interval
+        intervalSeconds = avgInterval / 1000;
+      } else {
+        // Use interval from previous power sample
+        intervalSeconds = Math.min(times[i] - times[previous], maxIntervalMs) / 1000;
+      }
+      previous = i;
+      counterTimes.push(times[i]);
+      energyData.push(wattSecondToPicoWattHour(series.power[i] * intervalSeconds));
+      if (hasBaseline) {
+        netEnergyData.push(wattSecondToPicoWattHour((series.power[i] - meter.baseline) * intervalSeconds));
+      }
+    }
+
+    if (energyData.length > 0) {
+      profile.counters.push(counterObject(meter.label,
+        `Data recorded by a ${meter.deviceName} power meter`, counterTimes, energyData));
+      if (hasBaseline) {
+        profile.counters.push(counterObject(`${meter.label} above baseline`,
+          `Power above the ${meter.baseline.toFixed(3)} W idle baseline`, counterTimes, netEnergyData));
+      }
+    }
+
+    // Add instant markers for the values of each sample
+    for (const [column, name, type, key, optional] of SERIES_MARKERS) {
+      const values = series[column];
+      if (optional && !values.some(value => value !== null)) {
+        continue;
+      }
+      const nameIndex = addString(prefix + name);
+      for (let i = 0; i < values.length; ++i) {
+        if (values[i] !== null) {
+          addInstantMarker(times[i], nameIndex, { type, [key]: values[i] });
+        }
+      }
+    }
+
+    // Add markers for voltage and current range changes
+    for (const [name, ranges] of [['Voltage Range', series.voltageRange], ['Current Range', series.currentRange]]) {
+      const rangeIndex = addString(prefix + name);
+      for (let i = 0; i < ranges.length; ++i) {
+        if (i === 0 || i === ranges.length - 1 || ranges[i] !== ranges[i - 1]) {
+          const data = {
+            type: 'range',
+            range: ranges[i]
+          };
+          if (i > 0 && ranges[i] !== ranges[i - 1]) {
+            data.from = ranges[i - 1];
+          }
+          addInstantMarker(times[i], rangeIndex, data);
+        }
+      }
+    }
+
+    // Add the markers recorded by the server
+    addServerMarkers(serverMarkers.filter(marker => marker.meter === meter.id), prefix);
+
+    // Add debug timing markers (MPM1010 only)
+    const debugEvents = meter.debugTimingEvents || [];
+    for (const [type, name] of DEBUG_TIMING_MARKERS) {
+      const events = debugEvents.filter(event => event.type === type);
+      if (events.length === 0) {
+        continue;
+      }
+      const nameIndex = addString(prefix + name);
+      for (const event of events) {
+        const data = { type };
+        if (type === 'data-received') {
+          data.bytes = event.bytes || 0;
+          data.data = event.data || '';
+        }
+        addInstantMarker(event.timeMs, nameIndex, data);
+      }
+    }
+  }
+
+  markers.length = markers.name.length;
+
+  return profile;
+}
+
+/**
+ * Build the profile of a recording (see openRecording() and the server's
+ * live recording)
+ * @param {Object} recording - { startTime, meters, markers }
+ * @param {Object} options
+ *   session: only the samples of this session (default: the whole recording)
+ *   mode: one of SAMPLE_MODES (default: all)
+ *   from, to: time range in ms since the start of the recording or session (default: everything)
+ * @returns {Object|null} The profile, timed from the start of the range, or null without samples
+ */
+function recordingProfile(recording, options = {}) {
+  const { session = null } = options;
+  const { start, range, meters, markers } = sliceRecording(recording, options);
+  return buildProfile({
+    startTime: clock.absolute(recording.startTime, start),
+    meters: meters.map(({ channel, series }) => ({
+      id: channel.id,
+      label: channel.label,
+      deviceName: channel.deviceName,
+      deviceVersion: channel.deviceVersion,
+      series,
+      debugTimingEvents: inTimeRange(channel.debugTimingEvents, range),
+      baseline: baselinePower(session && session.baseline, channel.id)
+    })),
+    markers
+  });
+}
+
+module.exports = { buildProfile, recordingProfile, MARKER_SCHEMA };
@@ -0,0 +1,335 @@
+/**
+ * Recording Log
+ *
+ * Appends the samples, markers and sessions of a recording to a file as they
+ * arrive, so recordings survive server restarts and can be browsed again.
+ *
+ * Log file format (one JSON object per line):
+ *   {"type":"recording","version":1,"id":"...","startTime":<epoch ms>,"meters":[...]}
+ *   {"m":"dut","t":12.345,"power":1.5,"voltageRange":"500V",...} - sample of meter "dut", COLUMNS fields (nulls omitted)
+ *   {"marker":{"id":"1","meter":"dut","name":"Function","timeMs":12.3,"data":{...}}} - the latest line of a marker wins
+ *   {"session":{"id":"1","name":"Boot","startTime":12.3,"endTime":null,"ranges":{...},"baseline":null}} - the latest line of a session wins
+ *   {"deleteSession":"1"}
+ * The header lists each meter's id, label, device type, name, version and
+ * capabilities. Times are in ms since startTime. Captures saved by a trigger
+ * (see lib/triggers.js) also have a "trigger" field and the "source" recording id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { SampleStore, COLUMNS } = require('./sample-store.js');
+const { SessionList, inTimeRange } = require('./sessions.js');
+const clock = require('./clock.js');
+
+const RECORDING_VERSION = 1;
+const RECORDING_EXTENSION = '.ndjson';
+
+// Bytes read to find the header line of a log when listing recordings
+const HEADER_READ_SIZE = 64 * 1024;
+
+class RecordingLog {
+  /**
+   * Create a log file in a directory, named after the recording id
+   * @param {string} dir - Recordings directory (created if missing)
+   * @param {Object} header - Header fields (startTime, meters)
+   */
+  constructor(dir, header) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Replays of the same capture share their start time
+    const base = new Date(header.startTime).toISOString().replace(/[:.]/g, '-');
+    this.id = base;
+    for (let n = 2; fs.existsSync(path.join(dir, this.id + RECORDING_EXTENSION)); n++) {
+      this.id = `${base}-${n}`;
+    }
+
+    this.file = path.join(dir, this.id + RECORDING_EXTENSION);
+    this.fd = fs.openSync(this.file, 'wx');
+    this.write({ type: 'recording', version: RECORDING_VERSION, id: this.id, ...header });
+  }
+
+  /**
+   * Append an entry
+   * Writes are synchronous, so everything logged is in the file even if the
+   * server doesn't exit cleanly.
+   */
+  write(entry) {
+    if (this.fd !== null) {
+      fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    }
+  }
+
+  /**
+   * @param {string} meter - Meter id
+   * @param {number} timeMs - Time since the start time
+   * @param {Object} measurement - Sample as stored (see SampleStore.append)
+   */
+  sample(meter, timeMs, measurement) {
+    const entry = { m: meter, t: timeMs };
+    for (const column of COLUMNS) {
+      if (measurement[column] !== undefined && measurement[column] !== null) {
+        entry[column] = measurement[column];
+      }
+    }
+    this.write(entry);
+  }
+
+  marker(marker) {
+    this.write({ marker });
+  }
+
+  /**
+   * Log a session when it starts, stops or gets a baseline
+   */
+  session({ id, name, startTime, endTime, ranges, baseline }) {
+    this.write({ session: { id, name, startTime, endTime, ranges, baseline } });
+  }
+
+  deleteSession(id) {
+    this.write({ deleteSession: id });
+  }
+
+  /**
+   * Flush the file to disk and close it
+   */
+  close() {
+    if (this.fd === null) {
+      return;
+    }
+    fs.fsyncSync(this.fd);
+    fs.closeSync(this.fd);
+    this.fd = null;
+    console.log(`✓ Recording saved to ${this.file}`);
+  }
+}
+
+/**
+ * Get the header fields describing the meters of a recording
+ */
+function meterHeaders(meters) {
+  return meters.map(({ id, label, deviceType, deviceName, deviceVersion, capabilities }) =>
+    ({ id, label, deviceType, deviceName, deviceVersion, capabilities }));
+}
+
+/**
+ * Save a time range of a recording as a recording of its own, timed from the
+ * start of the range (e.g. the samples around a trigger)
+ * @param {string} dir - Recordings directory
+ * @param {Object} recording - { startTime, meters, markers }
+ * @param {Object} range - { from, to } in ms since the start time
+ * @param {Object} header - Additional header fields
+ * @returns {RecordingLog} The closed log
+ */
+function saveRecordingRange(dir, recording, { from, to }, header = {}) {
+  const log = new RecordingLog(dir, {
+    startTime: clock.absolute(recording.startTime, from),
+    meters: meterHeaders(recording.meters),
+    ...header
+  });
+  for (const channel of recording.meters) {
+    const series = channel.store.slice(channel.store.indexAt(from));
+    for (let i = 0; i < series.times.length && series.times[i] <= to; i++) {
+      const sample = {};
+      for (const column of COLUMNS) {
+        sample[column] = series[column][i];
+      }
+      if (typeof sample.updateTime === 'number') {
+        sample.updateTime = clock.since(from, sample.updateTime);
+      }
+      log.sample(channel.id, clock.since(from, series.times[i]), sample);
+    }
+  }
+  for (const marker of inTimeRange(recording.markers, { origin: from, from, to })) {
+    log.marker(marker);
+  }
+  log.close();
+  return log;
+}
+
+/**
+ * List the recordings of a directory, newest first
+ * Only the headers are read.
+ * @returns {Object[]} Headers, with the file and its size
+ */
+function listRecordings(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith(RECORDING_EXTENSION));
+  } catch (error) {
+    return [];
+  }
+
+  const recordings = [];
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const buffer = Buffer.alloc(HEADER_READ_SIZE);
+    const fd = fs.openSync(filePath, 'r');
+    let bytes;
+    try {
+      bytes = fs.readSync(fd, buffer, 0, HEADER_READ_SIZE, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    try {
+      const header = JSON.parse(buffer.toString('utf8', 0, bytes).split('\n')[0]);
+      if (header.type === 'recording') {
+        recordings.push({ ...header, file: filePath, size: fs.statSync(filePath).size });
+      }
+    } catch (error) {
+      // Not a recording log
+    }
+  }
+  // Replays of the same capture get increasing suffixes
+  return recordings.sort((a, b) => b.startTime - a.startTime || b.id.localeCompare(a.id));
+}
+
+/**
+ * Read a recording log line by line
+ * A truncated last line (server killed while writing) is ignored. Sessions
+ * still recording when the log ends are stopped at its last sample.
+ * @param {string} file
+ * @param {Object} handlers
+ *   onHeader(header): called with the header before any sample
+ *   onSample(meterId, timeMs, measurement): called with each sample, in file order
+ * @returns {Promise<Object>} { header, sampleCounts, markers, sessions } where
+ *   sampleCounts has the number of samples of each meter id
+ */
+async function readRecording(file, { onHeader = () => {}, onSample = () => {} } = {}) {
+  const input = fs.createReadStream(file, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let header = null;
+  const sampleCounts = {};
+  const markers = new Map();
+  const sessions = new Map();
+  let endTime = 0;
+  let lineNumber = 0;
+  let invalidLine = null; // Error of an unparsable line, fatal unless it is the last one
+
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim().length === 0) {
+        continue;
+      }
+      if (invalidLine) {
+        throw invalidLine;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        invalidLine = new Error(`Invalid line ${lineNumber} in ${file}: ${error.message}`);
+        continue;
+      }
+
+      if (!header) {
+        if (entry.type !== 'recording') {
+          throw new Error(`Not a recording file: ${file}`);
+        }
+        if (entry.version > RECORDING_VERSION) {
+          throw new Error(`Unsupported recording version ${entry.version} in ${file}`);
+        }
+        header = entry;
+        for (const meter of header.meters) {
+          sampleCounts[meter.id] = 0;
+        }
+        onHeader(header);
+      } else if (entry.m !== undefined) {
+        const { m, t, ...measurement } = entry;
+        if (sampleCounts[m] === undefined) {
+          throw new Error(`Unknown meter ${m} on line ${lineNumber} in ${file}`);
+        }
+        onSample(m, t, measurement);
+        sampleCounts[m]++;
+        endTime = Math.max(endTime, t);
+      } else if (entry.marker) {
+        markers.set(entry.marker.id !== undefined ? entry.marker.id : `line-${lineNumber}`, entry.marker);
+      } else if (entry.session) {
+        sessions.set(entry.session.id, entry.session);
+      } else if (entry.deleteSession !== undefined) {
+        sessions.delete(entry.deleteSession);
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+
+  if (!header) {
+    throw new Error(invalidLine ? `Not a recording file: ${file}` : `Empty recording file: ${file}`);
+  }
+
+  for (const session of sessions.values()) {
+    if (session.endTime === null) {
+      session.endTime = endTime;
+      for (const [meter, range] of Object.entries(session.ranges)) {
+        range.end = sampleCounts[meter] || 0;
+      }
+    }
+  }
+
+  // Intervals still running when the recording stopped end at the last sample
+  for (const marker of markers.values()) {
+    if (marker.endTimeMs === null) {
+      marker.endTimeMs = endTime;
+    }
+  }
+
+  return { header, sampleCounts, markers: [...markers.values()], sessions: [...sessions.values()] };
+}
+
+/**
+ * Open a recording log for browsing
+ * Meters get the same fields as the server's live ones (see createChannel()
+ * in wattmeter-server.js), with their samples in a SampleStore. Samples go to
+ * the stores as they are read, so long recordings are spilled to disk instead
+ * of being held in memory.
+ * @param {string} file
+ * @param {Object} options
+ *   spillDir: directory for spilled samples, one subdirectory per meter (default: keep everything in memory)
+ *   retentionMs: see SampleStore
+ * @returns {Promise<Object>} { id, startTime, meters, markers, sessions }
+ */
+async function openRecording(file, { spillDir = null, retentionMs } = {}) {
+  let recording = null;
+  const channels = new Map();
+  try {
+    const { markers, sessions } = await readRecording(file, {
+      onHeader: (header) => {
+        recording = {
+          id: header.id,
+          startTime: header.startTime,
+          meters: header.meters.map(meter => ({
+            ...meter,
+            store: new SampleStore({ spillDir: spillDir ? path.join(spillDir, meter.id) : null, retentionMs }),
+            function: null, // Latest function (meters with function selection)
+            debugTimingEvents: [] // Not recorded
+          })),
+          markers: [],
+          sessions: new SessionList()
+        };
+        for (const channel of recording.meters) {
+          channels.set(channel.id, channel);
+        }
+      },
+      onSample: (meter, timeMs, measurement) => {
+        const channel = channels.get(meter);
+        channel.store.append(timeMs, measurement);
+        channel.function = measurement.function || channel.function;
+      }
+    });
+    recording.markers = markers;
+    recording.sessions.load(sessions);
+    return recording;
+  } catch (error) {
+    for (const channel of channels.values()) {
+      channel.store.close();
+    }
+    throw error;
+  }
+}
+
+module.exports = { RecordingLog, meterHeaders, saveRecordingRange, listRecordings, readRecording, openRecording };
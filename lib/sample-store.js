@@ -0,0 +1,216 @@
+/**
+ * Sample Store
+ *
+ * Column-oriented storage for the samples of one meter. Times are in ms since
+ * the server's start time, shared by all meters so their series line up.
+ *
+ * Only the most recent samples are kept in memory: older ones are spilled to
+ * chunk files on disk, and read back transparently by slice().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Normalized measurement fields kept for each sample
+// power is null for samples of other functions (see ISW8001 function selection)
+// fresh and updateTime are only set by meters detecting repeated readings (see MPM1010.detectUpdate)
+// latency is the serial delay subtracted from the arrival time (see MeterDriver.measurementTime)
+const COLUMNS = ['power', 'voltage', 'current', 'powerFactor', 'frequency', 'reactivePower', 'apparentPower',
+  'voltageRange', 'currentRange', 'function', 'unit', 'fresh', 'updateTime', 'latency'];
+
+// Sample selection modes of slice()
+//   all: every poll of the meter
+//   fresh: only samples carrying a new internal update of the meter
+//   estimated: fresh samples, timed at the estimated internal update instead of the poll
+const SAMPLE_MODES = ['all', 'fresh', 'estimated'];
+
+// Number of spilled chunks kept in memory after being read back
+const CHUNK_CACHE_SIZE = 2;
+
+class SampleStore {
+  /**
+   * @param {Object} options
+   *   spillDir: directory for the chunk files (default: keep everything in memory)
+   *   retentionMs: samples older than this (relative to the latest one) are spilled (default: 1 hour)
+   *   chunkSize: number of samples per chunk file (default: 10000)
+   */
+  constructor({ spillDir = null, retentionMs = 60 * 60 * 1000, chunkSize = 10000 } = {}) {
+    this.spillDir = spillDir;
+    this.retentionMs = retentionMs;
+    this.chunkSize = chunkSize;
+    this.chunks = []; // { file, startIndex, count, startTime }
+    this.chunkCache = [];
+    this.offset = 0; // Index of the first sample in memory
+    this.times = [];
+    this.columns = {};
+    for (const column of COLUMNS) {
+      this.columns[column] = [];
+    }
+
+    if (this.spillDir) {
+      fs.mkdirSync(this.spillDir, { recursive: true });
+    }
+  }
+
+  get length() {
+    return this.offset + this.times.length;
+  }
+
+  /**
+   * Append a normalized measurement
+   * @param {number} timeMs - Time since the start time
+   * @param {Object} measurement - Normalized measurement (see meter-driver.js),
+   *   with updateTime also relative to the start time
+   */
+  append(timeMs, measurement) {
+    this.times.push(timeMs);
+    for (const column of COLUMNS) {
+      this.columns[column].push(measurement[column] !== undefined ? measurement[column] : null);
+    }
+
+    // Spill once a whole chunk is older than the retention window
+    if (this.spillDir && this.times.length > this.chunkSize &&
+        timeMs - this.times[this.chunkSize - 1] > this.retentionMs) {
+      this.spill();
+    }
+  }
+
+  /**
+   * Write the oldest chunkSize samples in memory to a chunk file
+   */
+  spill() {
+    const chunk = {
+      startIndex: this.offset,
+      times: this.times.splice(0, this.chunkSize),
+      columns: {}
+    };
+    for (const column of COLUMNS) {
+      chunk.columns[column] = this.columns[column].splice(0, this.chunkSize);
+    }
+
+    const file = path.join(this.spillDir, `chunk-${String(this.chunks.length).padStart(6, '0')}.json`);
+    fs.writeFileSync(file, JSON.stringify(chunk));
+    this.chunks.push({ file, startIndex: chunk.startIndex, count: chunk.times.length, startTime: chunk.times[0] });
+    this.offset += chunk.times.length;
+  }
+
+  /**
+   * Read a spilled chunk back
+   */
+  readChunk(chunk) {
+    let cached = this.chunkCache.find(entry => entry.file === chunk.file);
+    if (!cached) {
+      cached = { file: chunk.file, data: JSON.parse(fs.readFileSync(chunk.file, 'utf8')) };
+      this.chunkCache.push(cached);
+      if (this.chunkCache.length > CHUNK_CACHE_SIZE) {
+        this.chunkCache.shift();
+      }
+    }
+    return cached.data;
+  }
+
+  /**
+   * Get the index of the first sample at or after a time
+   * @param {number} timeMs - Time since the start time
+   * @returns {number} The index, length if all samples are before
+   */
+  indexAt(timeMs) {
+    const search = (times, base) => {
+      let low = 0;
+      let high = times.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] < timeMs) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      return base + low;
+    };
+    if (this.chunks.length > 0 && (this.times.length === 0 || timeMs <= this.times[0])) {
+      // Spilled: search the last chunk starting before the time
+      const chunk = this.chunks.findLast(candidate => candidate.startTime < timeMs) || this.chunks[0];
+      return search(this.readChunk(chunk).times, chunk.startIndex);
+    }
+    return search(this.times, this.offset);
+  }
+
+  /**
+   * Get the raw samples with indexes in [startIndex, endIndex), from disk and memory
+   * @returns {Object} { times, columns }
+   */
+  rows(startIndex, endIndex) {
+    const parts = [];
+    for (const chunk of this.chunks) {
+      if (chunk.startIndex + chunk.count > startIndex && chunk.startIndex < endIndex) {
+        parts.push([this.readChunk(chunk), startIndex - chunk.startIndex, endIndex - chunk.startIndex]);
+      }
+    }
+    if (endIndex > this.offset) {
+      parts.push([this, startIndex - this.offset, endIndex - this.offset]);
+    }
+
+    const slice = (values, start, end) => values.slice(Math.max(0, start), end);
+    const result = { times: [].concat(...parts.map(([source, start, end]) => slice(source.times, start, end))), columns: {} };
+    for (const column of COLUMNS) {
+      result.columns[column] = [].concat(...parts.map(([source, start, end]) => slice(source.columns[column], start, end)));
+    }
+    return result;
+  }
+
+  /**
+   * Get the samples from startIndex onwards
+   * Samples of meters without repeat detection (fresh = null) count as fresh.
+   * @param {number} startIndex
+   * @param {string} mode - One of SAMPLE_MODES (default: all)
+   * @param {number} endIndex - Index after the last sample to consider (default: all samples)
+   * @returns {Object} { times, power, voltage, ... }
+   */
+  slice(startIndex = 0, mode = 'all', endIndex = this.length) {
+    if (!SAMPLE_MODES.includes(mode)) {
+      throw new Error(`Invalid sample mode: ${mode}. Must be one of: ${SAMPLE_MODES.join(', ')}`);
+    }
+
+    const { times, columns } = this.rows(startIndex, Math.min(endIndex, this.length));
+    let indexes = null;
+    if (mode !== 'all') {
+      indexes = [];
+      for (let i = 0; i < times.length; i++) {
+        if (columns.fresh[i] !== false) {
+          indexes.push(i);
+        }
+      }
+    }
+    const pick = (values) => indexes ? indexes.map(i => values[i]) : values;
+
+    const result = { times: pick(times) };
+    for (const column of COLUMNS) {
+      result[column] = pick(columns[column]);
+    }
+    if (mode === 'estimated') {
+      result.times = result.times.map((time, i) => result.updateTime[i] !== null ? result.updateTime[i] : time);
+    }
+    return result;
+  }
+
+  /**
+   * Delete the chunk files
+   */
+  close() {
+    for (const chunk of this.chunks) {
+      fs.rmSync(chunk.file, { force: true });
+    }
+    this.chunks = [];
+    this.chunkCache = [];
+    if (this.spillDir) {
+      try {
+        fs.rmdirSync(this.spillDir);
+      } catch (error) {
+        // Not empty: leave other files alone
+      }
+    }
+  }
+}
+
+module.exports = { SampleStore, COLUMNS, SAMPLE_MODES };
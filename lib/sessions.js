@@ -0,0 +1,287 @@
+/**
+ * Recording Sessions
+ *
+ * A session is a named part of the continuous recording. It stores the range
+ * of sample indexes of each meter, so the meters keep streaming in the
+ * background and sessions can be started and stopped at any time.
+ */
+
+const { COLUMNS, SAMPLE_MODES } = require('./sample-store.js');
+const { EnergyCounter } = require('./energy.js');
+const clock = require('./clock.js');
+
+// Samples read at a time by sessionEnergy() and pageRecording()
+const PAGE_SAMPLES = 10000;
+
+class SessionList {
+  constructor() {
+    this.sessions = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Start a session, stopping the one being recorded if any
+   * @param {string} name - Session name (default: "Session <id>")
+   * @param {Object} sampleCounts - Current number of samples by meter id
+   * @param {number} timeMs - Current time since the start time
+   * @returns {Object} The new session
+   */
+  start(name, sampleCounts, timeMs) {
+    const recording = this.recording();
+    if (recording) {
+      this.stop(recording.id, sampleCounts, timeMs);
+    }
+
+    const id = String(this.nextId++);
+    const session = {
+      id,
+      name: name || `Session ${id}`,
+      startTime: timeMs,
+      endTime: null,
+      ranges: {}, // By meter id: { start, end } sample indexes, end is null while recording
+      baseline: null // Idle power subtracted for net power, see setBaseline()
+    };
+    for (const [meter, count] of Object.entries(sampleCounts)) {
+      session.ranges[meter] = { start: count, end: null };
+    }
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Stop recording a session
+   * @param {string} id
+   * @param {Object} sampleCounts - Current number of samples by meter id
+   * @param {number} timeMs - Current time since the start time
+   * @returns {Object} The stopped session
+   */
+  stop(id, sampleCounts, timeMs) {
+    const session = this.get(id);
+    if (!session) {
+      throw new Error(`Unknown session: ${id}`);
+    }
+    if (session.endTime !== null) {
+      throw new Error(`Session ${id} is not recording`);
+    }
+
+    session.endTime = timeMs;
+    for (const [meter, range] of Object.entries(session.ranges)) {
+      range.end = sampleCounts[meter];
+    }
+    return session;
+  }
+
+  /**
+   * Set or clear the baseline of a session
+   * @param {string} id
+   * @param {Object|null} baseline - { from, to, power } where power has the idle
+   *   power of each meter id in W, measured from `from` to `to` (ms since the start time)
+   * @returns {Object} The session
+   */
+  setBaseline(id, baseline) {
+    const session = this.get(id);
+    if (!session) {
+      throw new Error(`Unknown session: ${id}`);
+    }
+    session.baseline = baseline;
+    return session;
+  }
+
+  /**
+   * Get the session being recorded
+   * @returns {Object|null}
+   */
+  recording() {
+    return this.sessions.find(session => session.endTime === null) || null;
+  }
+
+  /**
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.sessions.find(session => session.id === id) || null;
+  }
+
+  /**
+   * Restore the sessions of a saved recording (see readRecording)
+   */
+  load(sessions) {
+    // Logs written before baselines have none
+    this.sessions = sessions.map(session => ({ baseline: null, ...session }));
+    this.nextId = Math.max(0, ...sessions.map(session => parseInt(session.id) || 0)) + 1;
+  }
+
+  /**
+   * Delete a session (the samples stay part of the continuous recording)
+   * @returns {boolean} Whether the session existed
+   */
+  delete(id) {
+    const index = this.sessions.findIndex(session => session.id === id);
+    if (index < 0) {
+      return false;
+    }
+    this.sessions.splice(index, 1);
+    return true;
+  }
+}
+
+/**
+ * Get the sample index range of a meter in a session
+ * @param {Object} session
+ * @param {Object} channel - Meter, with its id and SampleStore
+ * @returns {Object} { start, end }
+ */
+function sessionRange(session, channel) {
+  const range = session.ranges[channel.id];
+  return { start: range.start, end: range.end !== null ? range.end : channel.store.length };
+}
+
+/**
+ * Get the energy of a meter in a session
+ * The total is kept on the session and only counts the samples stored since
+ * the previous call, so polling the sessions doesn't read them all again.
+ * @param {Object} session
+ * @param {Object} channel - Meter, with its id and SampleStore
+ * @returns {EnergyCounter}
+ */
+function sessionEnergy(session, channel) {
+  if (!session.energy) {
+    session.energy = {}; // By meter id: { index, counter } with index the next sample to count
+  }
+  if (!session.energy[channel.id]) {
+    session.energy[channel.id] = { index: session.ranges[channel.id].start, counter: new EnergyCounter() };
+  }
+  const totals = session.energy[channel.id];
+  const { end } = sessionRange(session, channel);
+  while (totals.index < end) {
+    const pageEnd = Math.min(totals.index + PAGE_SAMPLES, end);
+    const page = channel.store.slice(totals.index, 'all', pageEnd);
+    page.times.forEach((time, i) => totals.counter.add(time, page.power[i]));
+    totals.index = pageEnd;
+  }
+  return totals.counter;
+}
+
+/**
+ * Get the time range of a session, or of the whole recording
+ * @returns {Object} { origin, from, to } in ms since the start time, to is null while recording
+ */
+function timeRange(session) {
+  return session ? { origin: session.startTime, from: session.startTime, to: session.endTime }
+    : { origin: 0, from: 0, to: null };
+}
+
+/**
+ * Keep the events ({ timeMs, ... }) of a time range, timed from its origin
+ * Intervals ({ timeMs, endTimeMs, ... }, endTimeMs null while running) are
+ * kept when they overlap the range.
+ */
+function inTimeRange(events, { origin, from, to }) {
+  const end = event => event.endTimeMs === undefined ? event.timeMs
+    : event.endTimeMs === null ? Infinity : event.endTimeMs;
+  return events
+    .filter(event => end(event) >= from && (to === null || event.timeMs <= to))
+    .map(event => typeof event.endTimeMs === 'number'
+      ? { ...event, timeMs: clock.since(origin, event.timeMs), endTimeMs: clock.since(origin, event.endTimeMs) }
+      : { ...event, timeMs: clock.since(origin, event.timeMs) });
+}
+
+/**
+ * Iterate over the samples of a meter in a time range, page by page
+ * @param {SampleStore} store
+ * @param {Object} indexes - { start, end } sample indexes to consider
+ * @param {string} mode - One of SAMPLE_MODES
+ * @param {Object} range - { origin, from, to }, see inTimeRange()
+ * @param {number} pageSize - Samples read at a time
+ * @yields {Object} Non-empty series with the columns of SampleStore.slice(), timed from the origin
+ */
+function* seriesPages(store, indexes, mode, range, pageSize) {
+  for (let index = Math.max(indexes.start, store.indexAt(range.from)); index < indexes.end; index += pageSize) {
+    const page = store.slice(index, mode, Math.min(index + pageSize, indexes.end));
+    if (page.times.length > 0 && page.times[0] > range.to) {
+      return;
+    }
+    const keep = [];
+    for (let i = 0; i < page.times.length; i++) {
+      if (page.times[i] >= range.from && page.times[i] <= range.to) {
+        keep.push(i);
+      }
+    }
+    if (keep.length === 0) {
+      continue;
+    }
+
+    const series = {};
+    for (const [column, values] of Object.entries(page)) {
+      series[column] = keep.map(i => values[i]);
+    }
+    series.times = series.times.map(time => clock.since(range.origin, time));
+    yield series;
+  }
+}
+
+/**
+ * Get the samples and markers of a time range of a recording page by page, so
+ * exports of long recordings don't hold all their samples in memory
+ * @param {Object} recording - { meters, markers } (live or past recording)
+ * @param {Object} options - session, mode, from and to, see sliceRecording()
+ * @param {number} pageSize - Samples read at a time (default: PAGE_SAMPLES)
+ * @returns {Object} { start, range, meters, markers } like sliceRecording(), where
+ *   meters has the { channel, pages } of each meter: an iterator over its samples,
+ *   see seriesPages(). The samples are the ones stored when this is called.
+ */
+function pageRecording(recording, { session = null, mode = 'all', from = null, to = null } = {}, pageSize = PAGE_SAMPLES) {
+  if (!SAMPLE_MODES.includes(mode)) {
+    throw new Error(`Invalid sample mode: ${mode}. Must be one of: ${SAMPLE_MODES.join(', ')}`);
+  }
+  const sessionTimes = timeRange(session);
+  const start = sessionTimes.origin + (from !== null ? from : 0);
+  const end = to !== null ? sessionTimes.origin + to : Infinity;
+  const range = {
+    origin: start,
+    from: Math.max(start, sessionTimes.from),
+    to: Math.min(end, sessionTimes.to !== null ? sessionTimes.to : Infinity)
+  };
+
+  const meters = recording.meters.map((channel) => {
+    const indexes = session ? sessionRange(session, channel) : { start: 0, end: channel.store.length };
+    return { channel, pages: seriesPages(channel.store, indexes, mode, range, pageSize) };
+  });
+
+  return { start, range, meters, markers: inTimeRange(recording.markers, range) };
+}
+
+/**
+ * Get the samples and markers of a time range of a recording, for exports
+ * @param {Object} recording - { meters, markers } (live or past recording)
+ * @param {Object} options
+ *   session: only the samples of this session (default: the whole recording)
+ *   mode: one of SAMPLE_MODES (default: all)
+ *   from, to: time range in ms since the start of the recording or session (default: everything)
+ * @returns {Object} { start, range, meters, markers } where start is the start of
+ *   the range in ms since the start of the recording, range is for inTimeRange(),
+ *   and meters has the { channel, series } of each meter with the columns of
+ *   SampleStore.slice(), timed from the start of the range like the markers
+ */
+function sliceRecording(recording, options = {}) {
+  const { start, range, meters, markers } = pageRecording(recording, options, Infinity);
+  return {
+    start,
+    range,
+    meters: meters.map(({ channel, pages }) => {
+      const series = { times: [] };
+      for (const column of COLUMNS) {
+        series[column] = [];
+      }
+      for (const page of pages) {
+        for (const column of Object.keys(series)) {
+          series[column] = series[column].concat(page[column]);
+        }
+      }
+      return { channel, series };
+    }),
+    markers
+  };
+}
+
+module.exports = { SessionList, sessionRange, sessionEnergy, timeRange, inTimeRange, pageRecording, sliceRecording };
@@ -0,0 +1,204 @@
+/**
+ * Recording Statistics
+ *
+ * Summarizes the samples of a time range for /stats: distribution of power,
+ * voltage, current and power factor, and energy (see lib/energy.js for how
+ * uneven intervals and gaps are handled). The web UI shows these numbers, so
+ * scripts get the same ones.
+ *
+ * Sessions can have a baseline, the idle power of each meter (e.g. a laptop
+ * doing nothing), measured by measureBaseline(). The net values are above it.
+ */
+
+const { sessionRange, timeRange } = require('./sessions.js');
+const { integratePower, gapThreshold } = require('./energy.js');
+const clock = require('./clock.js');
+
+// Summarized columns: [SampleStore column, response key]
+const STAT_COLUMNS = [['power', 'power'], ['voltage', 'voltage'], ['current', 'current'], ['powerFactor', 'power_factor']];
+
+// Percentiles reported besides the median
+const PERCENTILES = [5, 25, 75, 95, 99];
+
+// Samples read at a time, and read before a range for its first interval
+const PAGE_SAMPLES = 10000;
+
+/**
+ * Describe the distribution of values
+ * Percentiles use the nearest rank: the value below which p% of the values
+ * are (the median is the upper one of an even count).
+ * @param {Array} values - Numbers, null values are skipped
+ * @returns {Object|null} { count, min, max, mean, median, p5, ... }, null without values
+ */
+function describeValues(values) {
+  const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+  const result = {
+    count: sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: percentile(50)
+  };
+  for (const p of PERCENTILES) {
+    result[`p${p}`] = percentile(p);
+  }
+  return result;
+}
+
+/**
+ * Summarize the samples of a meter in a time range
+ * With a baseline, the net_ values are above it.
+ * @param {Object} series - SampleStore.slice() result
+ * @param {Object} range - { from, to } in ms, to may be Infinity
+ * @param {number|null} baseline - Idle power in W (default: none)
+ */
+function meterStats(series, { from, to }, baseline = null) {
+  const keep = [];
+  for (let i = 0; i < series.times.length; i++) {
+    if (series.times[i] >= from && series.times[i] <= to) {
+      keep.push(i);
+    }
+  }
+
+  // The sample following the range still counts for the part of its interval in the range
+  const { energyWh, durationMs, gapCount, gapMs } = integratePower(series.times, series.power,
+    { from, to, maxIntervalMs: gapThreshold(series.times, series.power) });
+  const result = {
+    sample_count: keep.length,
+    energy_wh: energyWh,
+    average_power_w: durationMs > 0 ? energyWh * 3600 * 1000 / durationMs : null,
+    covered_ms: clock.roundTime(durationMs),
+    gap_count: gapCount,
+    gap_ms: clock.roundTime(gapMs)
+  };
+  for (const [column, key] of STAT_COLUMNS) {
+    result[key] = describeValues(keep.map(i => series[column][i]));
+  }
+
+  const hasBaseline = baseline !== null;
+  result.baseline_power_w = baseline;
+  result.net_energy_wh = hasBaseline ? energyWh - baseline * durationMs / 3600 / 1000 : null;
+  result.net_average_power_w = hasBaseline && result.average_power_w !== null ? result.average_power_w - baseline : null;
+  result.net_power = hasBaseline ? describeValues(keep.map(i => series.power[i] !== null ? series.power[i] - baseline : null)) : null;
+  return result;
+}
+
+/**
+ * Read the samples of a meter around a time range, page by page
+ * Besides the samples in the range, the series has the page before it, for
+ * the interval of its first power sample and the gap threshold, and the
+ * samples after it up to the first power sample (at most a page), which counts
+ * for the end of the range.
+ * @param {SampleStore} store
+ * @param {Object} indexes - { start, end } sample indexes to consider
+ * @param {string} mode - One of SAMPLE_MODES
+ * @param {Object} range - { from, to } in ms, to may be Infinity
+ * @returns {Object} { times, power, voltage, current, powerFactor }
+ */
+function rangeSeries(store, indexes, mode, { from, to }) {
+  const columns = ['times', ...STAT_COLUMNS.map(([column]) => column)];
+  const series = {};
+  for (const column of columns) {
+    series[column] = [];
+  }
+  const append = (page, end = page.times.length) => {
+    for (const column of columns) {
+      for (let i = 0; i < end; i++) {
+        series[column].push(page[column][i]);
+      }
+    }
+  };
+
+  const start = Math.max(indexes.start, store.indexAt(from));
+  const end = to === Infinity ? indexes.end : Math.max(start, Math.min(indexes.end, store.indexAt(to)));
+  append(store.slice(Math.max(indexes.start, start - PAGE_SAMPLES), mode, start));
+  for (let index = start; index < end; index += PAGE_SAMPLES) {
+    append(store.slice(index, mode, Math.min(index + PAGE_SAMPLES, end)));
+  }
+  // Then up to the first power sample after the range, reading twice as many samples each time
+  for (let index = end, count = 1; index < Math.min(indexes.end, end + PAGE_SAMPLES); index += count, count *= 2) {
+    const page = store.slice(index, mode, Math.min(index + count, indexes.end));
+    const next = page.times.findIndex((time, i) => time > to && page.power[i] !== null);
+    append(page, next >= 0 ? next + 1 : page.times.length);
+    if (next >= 0) {
+      break;
+    }
+  }
+  return series;
+}
+
+/**
+ * Summarize the samples of a recording
+ * @param {Object} recording - { meters, sessions } (live or past recording)
+ * @param {Object} options
+ *   session: only the samples of this session (default: the whole recording)
+ *   marker: only the samples during this interval marker
+ *   mode: one of SAMPLE_MODES (default: all)
+ *   from, to: ms since the start of the recording, session or marker (default: everything)
+ *   meter: only this meter id (default: all meters)
+ *   baseline: { power } idle power of each meter id for the net values (default: the session's)
+ * @returns {Object} { from, to, meters } with the range in ms since the start
+ *   of the recording, to is null for the latest sample
+ */
+function recordingStats(recording, {
+  session = null, marker = null, mode = 'all', from = null, to = null, meter = null,
+  baseline = session ? session.baseline : null
+} = {}) {
+  if (marker && marker.endTimeMs === undefined) {
+    throw new Error(`Marker ${marker.id} is not an interval`);
+  }
+  const bounds = marker ? { origin: marker.timeMs, from: marker.timeMs, to: marker.endTimeMs } : timeRange(session);
+  const range = {
+    from: Math.max(bounds.origin + (from !== null ? from : 0), bounds.from),
+    to: Math.min(to !== null ? bounds.origin + to : Infinity, bounds.to !== null ? bounds.to : Infinity)
+  };
+
+  const meters = recording.meters.filter(channel => !meter || channel.id === meter).map((channel) => {
+    const indexes = session ? sessionRange(session, channel) : { start: 0, end: channel.store.length };
+    return {
+      id: channel.id,
+      label: channel.label,
+      ...meterStats(rangeSeries(channel.store, indexes, mode, range), range, baselinePower(baseline, channel.id))
+    };
+  });
+
+  return {
+    from: clock.roundTime(range.from),
+    to: range.to !== Infinity ? clock.roundTime(range.to) : null,
+    meters
+  };
+}
+
+/**
+ * Get the idle power of a meter in a baseline
+ * @param {Object|null} baseline - { power }, see measureBaseline()
+ * @returns {number|null} Power in W, null without baseline for the meter
+ */
+function baselinePower(baseline, id) {
+  return baseline && typeof baseline.power[id] === 'number' ? baseline.power[id] : null;
+}
+
+/**
+ * Measure the idle power of each meter: its average power over a time range
+ * @param {Object} recording - { meters, sessions } (live or past recording)
+ * @param {Object} options - session, mode, from and to, see recordingStats()
+ * @returns {Object} { from, to, power } with the range in ms since the start of
+ *   the recording (to is null for the latest sample), power in W by meter id
+ */
+function measureBaseline(recording, options) {
+  const stats = recordingStats(recording, { ...options, baseline: null });
+  const power = {};
+  for (const meter of stats.meters) {
+    power[meter.id] = meter.average_power_w;
+  }
+  if (!Object.values(power).some(value => value !== null)) {
+    throw new Error('No power samples in the baseline window');
+  }
+  return { from: stats.from, to: stats.to, power };
+}
+
+module.exports = { describeValues, meterStats, recordingStats, baselinePower, measureBaseline };
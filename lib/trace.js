@@ -0,0 +1,165 @@
+/**
+ * Chrome Trace Export
+ *
+ * Builds traces in the Chrome Trace Event format, which Perfetto
+ * (https://ui.perfetto.dev/) and chrome://tracing open: one process per meter
+ * with power, voltage and current counter tracks, and the server's markers as
+ * instant events, or slices for the interval markers. The markers of the
+ * whole recording are on a process of their own.
+ * Format: https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+
+const { pageRecording } = require('./sessions.js');
+const clock = require('./clock.js');
+
+// Counter tracks: [SampleStore column, name, unit], Perfetto names them "<name> <unit>"
+const COUNTERS = [
+  ['power', 'Power', 'W'],
+  ['voltage', 'Voltage', 'V'],
+  ['current', 'Current', 'A']
+];
+
+// Process of the markers of the whole recording, meters are numbered from 1
+const RECORDING_PID = 0;
+
+// Thread of the markers of each process
+const MARKERS_TID = 1;
+
+// Events per chunk of the trace file
+const CHUNK_EVENTS = 1000;
+
+/**
+ * Convert a time in ms to trace event microseconds
+ */
+function microseconds(timeMs) {
+  return Math.round(timeMs * 1000);
+}
+
+/**
+ * Iterate over a first value and then the values of an iterator
+ */
+function* prepend(first, rest) {
+  yield first;
+  yield* rest;
+}
+
+/**
+ * Generate the events of a trace
+ * The counter events are generated page by page, the markers last, once the
+ * time of the last sample is known.
+ * @param {Object[]} meters - [{ id, label, deviceName, pages }] meters with
+ *   samples, pages iterating over their series, see pageRecording()
+ * @param {Object[]} markers - Server markers ({ meter, name, timeMs, endTimeMs, data }),
+ *   endTimeMs for intervals only (null while running), meter null for the whole recording
+ * @yields {Object} Trace events
+ */
+function* traceEvents(meters, markers) {
+  let lastTime = -Infinity;
+
+  function processEvents(pid, name) {
+    return [
+      { name: 'process_name', ph: 'M', pid, args: { name } },
+      { name: 'process_sort_index', ph: 'M', pid, args: { sort_index: pid } },
+      { name: 'thread_name', ph: 'M', pid, tid: MARKERS_TID, args: { name: 'Markers' } }
+    ];
+  }
+
+  function markerEvent(pid, marker) {
+    const event = { name: marker.name, cat: marker.data && marker.data.type || 'marker', pid, tid: MARKERS_TID,
+      ts: microseconds(marker.timeMs), args: marker.data || {} };
+    if (marker.endTimeMs === undefined) {
+      return { ...event, ph: 'i', s: 't' };
+    }
+    // Intervals still running end at the last sample
+    const endTime = marker.endTimeMs !== null ? marker.endTimeMs : Math.max(lastTime, marker.timeMs);
+    return { ...event, ph: 'X', dur: microseconds(endTime) - microseconds(marker.timeMs) };
+  }
+
+  const recordingMarkers = markers.filter(marker => !marker.meter);
+  if (recordingMarkers.length > 0) {
+    yield* processEvents(RECORDING_PID, 'Recording');
+  }
+
+  for (const [index, meter] of meters.entries()) {
+    const pid = index + 1;
+    yield* processEvents(pid, meter.deviceName && meter.deviceName !== meter.label ? `${meter.label} (${meter.deviceName})` : meter.label);
+    for (const series of meter.pages) {
+      for (const [column, name, unit] of COUNTERS) {
+        for (let i = 0; i < series.times.length; i++) {
+          if (series[column][i] !== null && series[column][i] !== undefined) {
+            yield { name, ph: 'C', pid, ts: microseconds(series.times[i]), args: { [unit]: series[column][i] } };
+          }
+        }
+      }
+      lastTime = Math.max(lastTime, series.times.at(-1));
+    }
+  }
+
+  for (const marker of recordingMarkers) {
+    yield markerEvent(RECORDING_PID, marker);
+  }
+  for (const [index, meter] of meters.entries()) {
+    for (const marker of markers.filter(candidate => candidate.meter === meter.id)) {
+      yield markerEvent(index + 1, marker);
+    }
+  }
+}
+
+/**
+ * Generate the JSON text of a trace
+ * @param {Iterator<Object>} events
+ * @param {Object} otherData - Trace metadata
+ * @yields {string} Chunks of the file
+ */
+function* traceJson(events, otherData) {
+  let chunk = [];
+  let first = true;
+  yield '{"traceEvents":[\n';
+  for (const event of events) {
+    chunk.push(JSON.stringify(event));
+    if (chunk.length >= CHUNK_EVENTS) {
+      yield (first ? '' : ',\n') + chunk.join(',\n');
+      first = false;
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    yield (first ? '' : ',\n') + chunk.join(',\n');
+  }
+  yield `\n],"displayTimeUnit":"ms","otherData":${JSON.stringify(otherData)}}\n`;
+}
+
+/**
+ * Build the trace of a recording (see openRecording() and the server's live recording)
+ * The samples are read as the text is consumed, so long recordings can be
+ * streamed without holding all their events in memory.
+ * @param {Object} recording - { id, startTime, meters, markers }
+ * @param {Object} options - session, mode, from and to, see sliceRecording()
+ * @returns {Iterator<string>|null} Chunks of the JSON file, timed from the
+ *   start of the range, or null without samples
+ */
+function recordingTrace(recording, options = {}) {
+  const { start, meters, markers } = pageRecording(recording, options);
+  const metersWithData = [];
+  for (const { channel, pages } of meters) {
+    const { value, done } = pages.next();
+    if (!done) {
+      metersWithData.push({
+        id: channel.id,
+        label: channel.label || channel.id,
+        deviceName: channel.deviceName,
+        pages: prepend(value, pages)
+      });
+    }
+  }
+  if (metersWithData.length === 0) {
+    return null;
+  }
+  return traceJson(traceEvents(metersWithData, markers), {
+    startTime: new Date(clock.absolute(recording.startTime, start)).toISOString(),
+    recording: recording.id,
+    session: options.session ? options.session.id : null
+  });
+}
+
+module.exports = { recordingTrace };
@@ -0,0 +1,170 @@
+/**
+ * Trigger Rules
+ *
+ * Rules evaluated on the live measurements of each meter. A rule fires when
+ * its condition becomes true (it is re-armed once the condition is false
+ * again), and the server saves the samples around it as a recording of its
+ * own, see CaptureWindow.
+ *
+ * Rule format: [meter:]condition, e.g. "dut:power>20" (default: every meter)
+ *   power>W, power<W - power above or below a threshold
+ *   rate>W/s - power changing faster than this, up or down
+ *   pf<PF - power factor dropping below a threshold
+ *   range - voltage or current range change (ISW8001)
+ */
+
+// Conditions with a threshold: metric -> unit of the threshold
+const THRESHOLD_METRICS = {
+  power: 'W',
+  rate: 'W/s',
+  pf: ''
+};
+
+/**
+ * Parse a comma separated list of rules
+ * @param {string} spec - e.g. "power>20,charger:range"
+ * @param {string[]} meterIds - Known meter ids
+ * @returns {Object[]} [{ rule, meter, metric, op, threshold }] where rule is the rule text
+ */
+function parseTriggerRules(spec, meterIds) {
+  if (!spec) {
+    return [];
+  }
+  return spec.split(',').map(text => text.trim()).filter(Boolean).map((rule) => {
+    const match = rule.match(/^(?:([^:]+):)?(?:(range)|(power|rate|pf)\s*([<>])\s*(-?[\d.]+))$/);
+    if (!match) {
+      throw new Error(`Invalid trigger rule: ${rule}. Expected [meter:]power>W, power<W, rate>W/s, pf<PF or range`);
+    }
+    const [, meter = null, range, metric, op, threshold] = match;
+    if (meter && !meterIds.includes(meter)) {
+      throw new Error(`Unknown meter in trigger rule ${rule}: ${meter}`);
+    }
+    if (range) {
+      return { rule, meter, metric: 'range', op: null, threshold: null };
+    }
+    if (isNaN(parseFloat(threshold))) {
+      throw new Error(`Invalid threshold in trigger rule ${rule}: ${threshold}`);
+    }
+    if ((metric === 'rate' && op !== '>') || (metric === 'pf' && op !== '<')) {
+      throw new Error(`Invalid trigger rule: ${rule}. Use rate>W/s and pf<PF`);
+    }
+    return { rule, meter, metric, op, threshold: parseFloat(threshold) };
+  });
+}
+
+/**
+ * Describe a rule for logs, e.g. "power > 20 W"
+ */
+function describeRule({ meter, metric, op, threshold }) {
+  const condition = metric === 'range' ? 'range change'
+    : `${metric} ${op} ${threshold}${THRESHOLD_METRICS[metric] ? ` ${THRESHOLD_METRICS[metric]}` : ''}`;
+  return meter ? `${meter}: ${condition}` : condition;
+}
+
+class TriggerMonitor {
+  /**
+   * @param {Object[]} rules - See parseTriggerRules()
+   */
+  constructor(rules) {
+    this.rules = rules;
+    this.state = new Map(); // By meter id: { previous sample, active conditions by rule index }
+  }
+
+  /**
+   * Evaluate the rules on a new sample of a meter
+   * @param {string} meter - Meter id
+   * @param {number} timeMs - Sample time
+   * @param {Object} sample - Normalized measurement (power, powerFactor, voltageRange, currentRange)
+   * @returns {Object[]} [{ rule, value }] for the rules firing, value being what crossed the threshold
+   */
+  check(meter, timeMs, sample) {
+    if (!this.state.has(meter)) {
+      this.state.set(meter, { previous: null, active: new Map() });
+    }
+    const state = this.state.get(meter);
+    const { previous } = state;
+    const fired = [];
+
+    this.rules.forEach((rule, index) => {
+      if (rule.meter && rule.meter !== meter) {
+        return;
+      }
+      let value = null;
+      let condition = false;
+      if (rule.metric === 'range') {
+        for (const column of ['voltageRange', 'currentRange']) {
+          if (previous && sample[column] && previous[column] && sample[column] !== previous[column]) {
+            value = sample[column];
+            condition = true;
+          }
+        }
+        // Each change fires
+        if (condition) {
+          fired.push({ rule, value });
+        }
+        return;
+      }
+
+      if (rule.metric === 'power') {
+        value = sample.power;
+      } else if (rule.metric === 'pf') {
+        value = sample.powerFactor;
+      } else if (previous && previous.power !== null && sample.power !== null && timeMs > previous.timeMs) {
+        value = Math.abs(sample.power - previous.power) / (timeMs - previous.timeMs) * 1000;
+      }
+      if (value === null || value === undefined) {
+        // Other function, or not enough samples yet: keep the current state
+        return;
+      }
+      condition = rule.op === '>' ? value > rule.threshold : value < rule.threshold;
+      if (condition && !state.active.get(index)) {
+        fired.push({ rule, value });
+      }
+      state.active.set(index, condition);
+    });
+
+    // Samples of other functions don't replace the latest power
+    state.previous = {
+      timeMs: sample.power !== null ? timeMs : previous ? previous.timeMs : timeMs,
+      power: sample.power !== null ? sample.power : previous ? previous.power : null,
+      voltageRange: sample.voltageRange || (previous && previous.voltageRange) || null,
+      currentRange: sample.currentRange || (previous && previous.currentRange) || null
+    };
+    return fired;
+  }
+}
+
+/**
+ * Time window of a triggered capture
+ * Triggers firing before the end of the window extend it, so bursts of
+ * triggers are saved together.
+ */
+class CaptureWindow {
+  /**
+   * @param {number} timeMs - Time of the first trigger
+   * @param {number} preMs - Time kept before the trigger
+   * @param {number} postMs - Time kept after the trigger
+   */
+  constructor(timeMs, preMs, postMs) {
+    this.postMs = postMs;
+    this.from = timeMs - preMs;
+    this.to = timeMs + postMs;
+    this.triggers = [];
+  }
+
+  /**
+   * Add a trigger, extending the window
+   * @param {Object} trigger - { timeMs, rule, meter, value }
+   * @returns {boolean} Whether the trigger is in the window (false once it ended)
+   */
+  add(trigger) {
+    if (trigger.timeMs > this.to) {
+      return false;
+    }
+    this.triggers.push(trigger);
+    this.to = Math.max(this.to, trigger.timeMs + this.postMs);
+    return true;
+  }
+}
+
+module.exports = { parseTriggerRules, describeRule, TriggerMonitor, CaptureWindow };
@@ -0,0 +1,265 @@
+/**
+ * Meter Driver Base Module
+ *
+ * Provides the MeterDriver base class that every power meter driver extends, and
+ * the normalized measurement shape drivers emit with their 'measurement' events.
+ *
+ * Driver contract:
+ * - connect() / disconnect(): open and close the serial link
+ * - identify(): resolve to { name, version }
+ * - capabilities: static description of what the meter supports
+ * - startStreaming() / stopStreaming(): continuous 'measurement' events
+ */
+
+const { SerialPort } = require('serialport');
+const EventEmitter = require('events');
+const { CaptureRecorder, ReplayPort, recordPort } = require('./capture.js');
+const clock = require('./lib/clock.js');
+
+// Bits sent per byte: start bit, 8 data bits and stop bit (8N1)
+const BITS_PER_BYTE = 10;
+
+/**
+ * Create a normalized measurement
+ * Fields the meter doesn't report (missing or undefined) are null.
+ * @param {Object} fields - Values reported by the meter
+ * @returns {Object} { timestamp, power, voltage, current, powerFactor, frequency,
+ *   reactivePower, apparentPower, voltageRange, currentRange, latency } where
+ *   latency is the serial delay subtracted from the arrival time, see measurementTime()
+ */
+function createMeasurement(fields) {
+  const measurement = {
+    timestamp: clock.now(),
+    power: null,
+    voltage: null,
+    current: null,
+    powerFactor: null,
+    frequency: null,
+    reactivePower: null,
+    apparentPower: null,
+    voltageRange: null,
+    currentRange: null,
+    latency: null
+  };
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      measurement[key] = value;
+    }
+  }
+
+  return measurement;
+}
+
+class MeterDriver extends EventEmitter {
+  // Registry key, used as WATTMETER_TYPE
+  static type = null;
+
+  // Human readable device name, used when the device can't identify itself
+  static displayName = null;
+
+  static capabilities = {
+    rangeControl: false,   // SET:Ux / SET:Ix style range selection
+    functionSelect: false, // One measurement function at a time (WATT, VOLT, ...)
+    debugTiming: false,    // Emits 'debug-timing' events
+    freshness: false,      // Flags repeated readings (measurement.fresh and measurement.updateTime)
+    measurements: []       // Normalized fields the meter reports
+  };
+
+  // Estimated time between the meter taking a measurement and sending its
+  // first byte, in ms
+  static turnaroundMs = 0;
+
+  constructor(config) {
+    super();
+    this.config = config;
+    this.port = null;
+    this.recorder = null;
+    this.autoModeEnabled = false;
+    this.linkErrors = { port: 0, timeout: 0, frame: 0 }; // See countLinkError()
+  }
+
+  get capabilities() {
+    return this.constructor.capabilities;
+  }
+
+  /**
+   * Open serial port connection
+   */
+  async connect() {
+    return new Promise((resolve, reject) => {
+      this.port = this.openPort((err) => {
+        if (err) {
+          reject(new Error(`Failed to open port: ${err.message}`));
+          return;
+        }
+      });
+
+      // Record before the driver sees the data, see recordPort()
+      if (this.config.capture) {
+        this.recorder = new CaptureRecorder(this.config.capture, {
+          driver: this.constructor.type,
+          path: this.config.path,
+          baudRate: this.config.baudRate
+        });
+        recordPort(this.port, this.recorder);
+      }
+
+      this.setupPort(this.port);
+
+      this.port.on('open', async () => {
+        console.log(`✓ Connected to ${this.config.path} at ${this.config.baudRate} baud`);
+        // Give device time to initialize after opening port
+        await this.sleep(500);
+        resolve();
+      });
+
+      this.port.on('error', (err) => {
+        this.countLinkError('port');
+        console.error('Serial port error:', err.message);
+      });
+    });
+  }
+
+  /**
+   * Create the port object
+   * Uses a ReplayPort when config.replay names a capture file,
+   * config.transport(config, callback) when set (e.g. an emulator),
+   * and a real SerialPort otherwise.
+   * @param {Function} callback - Called with an error if the port can't be opened
+   */
+  openPort(callback) {
+    if (this.config.replay) {
+      return new ReplayPort(this.config, callback);
+    }
+    if (this.config.transport) {
+      return this.config.transport(this.config, callback);
+    }
+    return new SerialPort(this.config, callback);
+  }
+
+  /**
+   * Attach protocol handlers to a freshly opened port (implemented by drivers)
+   */
+  setupPort(port) {
+    throw new Error(`${this.constructor.name} must implement setupPort()`);
+  }
+
+  /**
+   * Current time in ms since the epoch, for timestamps
+   * Monotonic with microsecond resolution, see lib/clock.js. Replay ports
+   * provide the recorded time instead.
+   */
+  now() {
+    return this.port && this.port.now ? this.port.now() : clock.now();
+  }
+
+  /**
+   * Time to send bytes at the configured baud rate, in ms
+   */
+  transmissionTime(bytes) {
+    return bytes * BITS_PER_BYTE * 1000 / this.config.baudRate;
+  }
+
+  /**
+   * Estimate when the meter took a measurement from the arrival of its bytes
+   * Subtracts the time to send the bytes received so far and the turnaround
+   * of the meter, so samples line up with events timed by other tools.
+   * @param {number} arrival - Time the latest byte of the measurement arrived
+   * @param {number} bytes - Bytes of the measurement sent until then
+   * @returns {Object} { timestamp, latency } where latency is the correction in ms
+   */
+  measurementTime(arrival, bytes) {
+    const latency = clock.roundTime(this.transmissionTime(bytes) + this.constructor.turnaroundMs);
+    return { timestamp: clock.since(latency, arrival), latency };
+  }
+
+  /**
+   * Current time as a named reference (e.g. 'start' for the start of a recording)
+   * Recorded in captures, so replays get the same value back.
+   * @param {string} name
+   * @returns {number} Time in ms since the epoch
+   */
+  markTime(name) {
+    if (this.port && this.port.replayMark) {
+      return this.port.replayMark(name);
+    }
+    const time = this.now();
+    if (this.recorder) {
+      this.recorder.mark(name, time);
+    }
+    return time;
+  }
+
+  /**
+   * Get device identification
+   * Returns object with name and version
+   */
+  async identify() {
+    return { name: this.constructor.displayName, version: null };
+  }
+
+  /**
+   * Start emitting 'measurement' events continuously
+   */
+  async startStreaming() {
+    await this.enableAutoMode();
+  }
+
+  /**
+   * Stop emitting 'measurement' events
+   */
+  async stopStreaming() {
+    await this.disableAutoMode();
+  }
+
+  /**
+   * Describe how streamed measurements multiplex several functions
+   * @returns {Object|null} { functions, rates } (rates in Hz per function), or null when not multiplexing
+   */
+  multiplexInfo() {
+    return null;
+  }
+
+  /**
+   * Count a problem on the serial link (exported by GET /metrics)
+   * @param {string} kind - port (serial port error), timeout (no response) or
+   *   frame (data that can't be decoded)
+   */
+  countLinkError(kind) {
+    this.linkErrors[kind]++;
+  }
+
+  /**
+   * Sleep helper
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Close connection
+   */
+  async disconnect() {
+    if (this.port && this.port.isOpen) {
+      // Disable auto mode if enabled
+      if (this.autoModeEnabled) {
+        await this.disableAutoMode();
+      }
+
+      await new Promise((resolve) => {
+        this.port.close(() => {
+          console.log('✓ Disconnected');
+          resolve();
+        });
+      });
+    }
+
+    if (this.recorder) {
+      await this.recorder.close();
+      this.recorder = null;
+    }
+  }
+}
+
+module.exports = { MeterDriver, createMeasurement };
@@ -14,10 +14,12 @@
  * - Power (W): 4 bytes BCD, format XX.XXW
  * - Power Factor: 4 bytes BCD, format X.XXXPf
  * - Frequency (Hz): 4 bytes BCD, format XX.XXHz
+ *
+ * The device only updates V/I/W/PF every ~250ms, so faster polls mostly
+ * return repeats: each measurement is flagged as fresh or repeated, see detectUpdate().
  */
 
-const { SerialPort } = require('serialport');
-const EventEmitter = require('events');
+const { MeterDriver, createMeasurement } = require('./meter-driver.js');
 
 // Configuration
 const CONFIG = {
@@ -28,72 +30,76 @@ const CONFIG = {
   stopBits: 1
 };
 
-class MPM1010 extends EventEmitter {
+// Internal V/I/W/PF update interval of the device (12.5 AC cycles @ 50Hz)
+const UPDATE_INTERVAL_MS = 250;
+
+// Uncertainty added to the estimated update time per elapsed update interval,
+// to follow the drift between the device's clock and ours
+const UPDATE_DRIFT_MS = 0.5;
+
+class MPM1010 extends MeterDriver {
+  static type = 'mpm1010';
+  static displayName = 'MPM-1010';
+  static capabilities = {
+    rangeControl: false,
+    functionSelect: false,
+    debugTiming: true,
+    freshness: true,
+    measurements: ['power', 'voltage', 'current', 'powerFactor', 'frequency']
+  };
+
+  // From the documented maximum rate of 52-58 Hz for 13 byte frames: each
+  // cycle sends "?" and 13 bytes (~14.6 ms at 9600 baud) plus the turnaround
+  static turnaroundMs = 3;
+
   constructor(config = CONFIG) {
-    super();
-    this.config = config;
-    this.port = null;
+    super(config);
     this.buffer = Buffer.alloc(0);
-    this.autoModeEnabled = false;
     this.pollInterval = null;
     this.fallbackTimer = null;
     this.nextRequestScheduled = false;
     this.delayedRequestScheduled = false;
     this.currentMeasurementTime = null;
+    this.currentMeasurementBytes = 0;
     this.minInterval = 0;
     this.lastRequestTime = 0;
+    this.lastFrame = null;
+    this.updateWindow = null;
   }
 
   /**
-   * Open serial port connection
+   * Attach the frame decoder to the port
    */
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.port = new SerialPort(this.config, (err) => {
-        if (err) {
-          reject(new Error(`Failed to open port: ${err.message}`));
-          return;
-        }
-      });
-
-      // Handle incoming data
-      this.port.on('data', (data) => {
-        const now = Date.now();
-
-        if (process.env.DEBUG) {
-          console.log('← Raw:', data.toString('hex'));
-        }
-
-        // If this chunk contains a '!' and we don't have a timestamp yet, record it
-        if (data.indexOf(0x21) >= 0 && !this.currentMeasurementTime) {
-          this.currentMeasurementTime = now;
-        }
+  setupPort(port) {
+    // Handle incoming data
+    port.on('data', (data) => {
+      const now = this.now();
 
-        // Emit timing event for data received
-        this.emit('debug-timing', {
-          type: 'data-received',
-          timestamp: now,
-          bytes: data.length,
-          data: data.toString('hex')
-        });
+      if (process.env.DEBUG) {
+        console.log('← Raw:', data.toString('hex'));
+      }
 
-        // Accumulate data in buffer
-        this.buffer = Buffer.concat([this.buffer, data]);
+      // If this chunk contains a '!' and we don't have a timestamp yet, record it
+      // with the number of frame bytes that were sent before it arrived
+      const ackIndex = data.indexOf(0x21);
+      if (ackIndex >= 0 && !this.currentMeasurementTime) {
+        this.currentMeasurementTime = now;
+        this.currentMeasurementBytes = data.length - ackIndex;
+      }
 
-        // Check if we have a complete message
-        this.processBuffer();
+      // Emit timing event for data received
+      this.emit('debug-timing', {
+        type: 'data-received',
+        timestamp: now,
+        bytes: data.length,
+        data: data.toString('hex')
       });
 
-      this.port.on('open', async () => {
-        console.log(`✓ Connected to ${this.config.path} at ${this.config.baudRate} baud`);
-        // Give device time to initialize
-        await this.sleep(500);
-        resolve();
-      });
+      // Accumulate data in buffer
+      this.buffer = Buffer.concat([this.buffer, data]);
 
-      this.port.on('error', (err) => {
-        console.error('Serial port error:', err.message);
-      });
+      // Check if we have a complete message
+      this.processBuffer();
     });
   }
 
@@ -153,8 +159,11 @@ class MPM1010 extends EventEmitter {
         return;
       }
 
-      // Use the timestamp when '!' arrived, not when we finished processing
-      const measurementTimestamp = this.currentMeasurementTime || Date.now();
+      // Use the timestamp when '!' arrived, not when we finished processing,
+      // corrected for the time it took to send the frame bytes received by then
+      const measurementTimestamp = this.currentMeasurementTime || this.now();
+      const { timestamp, latency } = this.measurementTime(measurementTimestamp,
+        this.currentMeasurementTime ? this.currentMeasurementBytes : this.buffer.length - ackIndex);
       const measurementLength = measurementEndIndex - ackIndex - 1; // -1 to skip '!'
       const measurementData = this.buffer.slice(ackIndex + 1, measurementEndIndex);
 
@@ -173,7 +182,15 @@ class MPM1010 extends EventEmitter {
       });
 
       if (this.autoModeEnabled && parsed.voltage !== undefined) {
-        this.emit('measurement', parsed);
+        this.emit('measurement', createMeasurement({
+          timestamp,
+          latency,
+          ...parsed,
+          ...this.detectUpdate(parsed, timestamp)
+        }));
+      } else if (this.autoModeEnabled) {
+        // Too short to hold voltage, current and power
+        this.countLinkError('frame');
       }
 
       // Remove processed data from buffer (up to start of next measurement or end of complete one)
@@ -190,12 +207,72 @@ class MPM1010 extends EventEmitter {
     }
   }
 
+  /**
+   * Tell whether a frame carries a new internal update of the device
+   *
+   * An update happened between the previous frame and this one when V/I/W
+   * changed. Each of these gives a window containing an update boundary;
+   * projecting the previous window by multiples of UPDATE_INTERVAL_MS and
+   * intersecting narrows down the device's update clock. Unchanged values are
+   * still fresh when the projected boundary falls between the two frames.
+   *
+   * @param {Object} parsed - Decoded frame
+   * @param {number} timestamp - Time of the frame
+   * @returns {Object} { fresh, updateTime } where updateTime is the estimated
+   *   time of the internal update (fresh frames only, null when unknown)
+   */
+  detectUpdate({ voltage, current, power }, timestamp) {
+    const previous = this.lastFrame;
+    this.lastFrame = { voltage, current, power, timestamp };
+    if (!previous) {
+      return { fresh: true, updateTime: null };
+    }
+
+    const changed = voltage !== previous.voltage || current !== previous.current || power !== previous.power;
+    const predicted = this.predictUpdate(timestamp);
+
+    if (!changed) {
+      if (!predicted || predicted.start <= previous.timestamp || predicted.end > timestamp) {
+        return { fresh: false, updateTime: null };
+      }
+      this.updateWindow = predicted;
+    } else if (predicted && predicted.end > previous.timestamp && predicted.start <= timestamp) {
+      this.updateWindow = {
+        start: Math.max(predicted.start, previous.timestamp),
+        end: Math.min(predicted.end, timestamp)
+      };
+    } else {
+      // First update seen, or the clock estimate was wrong: start over
+      this.updateWindow = { start: previous.timestamp, end: timestamp };
+    }
+
+    return { fresh: true, updateTime: (this.updateWindow.start + this.updateWindow.end) / 2 };
+  }
+
+  /**
+   * Project the estimated update window to the last boundary at or before a time
+   * @returns {Object|null} { start, end }, or null before the first update was seen
+   */
+  predictUpdate(time) {
+    if (!this.updateWindow) {
+      return null;
+    }
+    const { start, end } = this.updateWindow;
+    const periods = Math.floor((time - (start + end) / 2) / UPDATE_INTERVAL_MS);
+    const drift = Math.abs(periods) * UPDATE_DRIFT_MS;
+    return {
+      start: start + periods * UPDATE_INTERVAL_MS - drift,
+      end: end + periods * UPDATE_INTERVAL_MS + drift
+    };
+  }
+
   /**
    * Request a measurement
    */
   requestMeasurement() {
-    const now = Date.now();
-    this.lastRequestTime = now;
+    const now = this.now();
+    // Request pacing always uses the wall clock, even when replaying
+    this.lastRequestTime = Date.now();
 
     if (process.env.DEBUG) {
       console.log('→ ?');
@@ -217,6 +294,7 @@ class MPM1010 extends EventEmitter {
       const fallbackTimeout = Math.max(100, this.minInterval + 50);
       this.fallbackTimer = setTimeout(() => {
         if (this.autoModeEnabled) {
+          this.countLinkError('timeout');
           if (process.env.DEBUG) {
             console.log('⚠ Fallback timer triggered - no response received');
           }
@@ -310,6 +388,15 @@ class MPM1010 extends EventEmitter {
     return parseFloat(result);
   }
 
+  /**
+   * Start continuous measurements
+   * @param {Object} options
+   * @param {number} options.intervalMs - Minimum interval between requests in ms (default: 50)
+   */
+  async startStreaming({ intervalMs = 50 } = {}) {
+    await this.enableAutoMode(intervalMs);
+  }
+
   /**
    * Enable continuous measurement mode
    * Strategy: Request next sample immediately after receiving power value
@@ -321,6 +408,8 @@ class MPM1010 extends EventEmitter {
     this.autoModeEnabled = true;
     this.minInterval = intervalMs;
     this.lastRequestTime = 0;
+    this.lastFrame = null;
+    this.updateWindow = null;
 
     // Send the first request to kick off the request/response cycle
     this.requestMeasurement();
@@ -350,32 +439,6 @@ class MPM1010 extends EventEmitter {
 
     console.log('✓ Automatic measurement mode disabled');
   }
-
-  /**
-   * Sleep helper
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Close connection
-   */
-  async disconnect() {
-    if (this.port && this.port.isOpen) {
-      // Disable auto mode if enabled
-      if (this.autoModeEnabled) {
-        await this.disableAutoMode();
-      }
-
-      await new Promise((resolve) => {
-        this.port.close(() => {
-          console.log('✓ Disconnected');
-          resolve();
-        });
-      });
-    }
-  }
 }
 
 module.exports = MPM1010;
@@ -11,9 +11,11 @@
  *   node test-isw8001.js --continuous       # Continuous monitoring mode
  *   node test-isw8001.js --fast             # Fast polling mode
  *   node test-isw8001.js --command WATT     # Send custom command
+ *   node test-isw8001.js --sim              # Use the emulator instead of a device (with any mode)
  */
 
 const ISW8001 = require('./isw8001.js');
+const { getDriver } = require('./drivers.js');
 
 /**
  * Display measurement with timestamp and delta
@@ -34,12 +36,13 @@ const continuous = args.includes('--continuous');
 const fastPoll = args.includes('--fast');
 const commandIndex = args.indexOf('--command');
 const customCommand = commandIndex >= 0 ? args[commandIndex + 1] : null;
+const Meter = args.includes('--sim') ? getDriver('isw8001-sim') : ISW8001;
 
 /**
  * Run comprehensive tests on all ISW8001 methods
  */
 async function runTests() {
-  const meter = new ISW8001();
+  const meter = new Meter();
 
   try {
     console.log('=== ISW8001 Comprehensive Test Suite ===\n');
@@ -181,7 +184,7 @@ async function runTests() {
  * Continuous monitoring mode
  */
 async function runContinuous() {
-  const meter = new ISW8001();
+  const meter = new Meter();
   let lastMeasurementTime = null;
 
   try {
@@ -218,7 +221,7 @@ async function runContinuous() {
  * Fast polling mode
  */
 async function runFastPoll() {
-  const meter = new ISW8001();
+  const meter = new Meter();
   let running = true;
   let lastMeasurementTime = null;
 
@@ -261,7 +264,7 @@ async function runFastPoll() {
  * Custom command mode
  */
 async function runCustomCommand(command) {
-  const meter = new ISW8001();
+  const meter = new Meter();
 
   try {
     await meter.connect();
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parseAlertRules, describeAlertRule, AlertMonitor, sendWebhook } = require('../lib/alerts.js');
+
+describe('parseAlertRules', () => {
+  it('parses thresholds, hysteresis and durations', () => {
+    const [overload, off] = parseAlertRules('power>50~2@5s, dut:current<0.01@500ms', ['dut']);
+    assert.deepEqual(overload, { rule: 'power>50~2@5s', meter: null, metric: 'power', op: '>', threshold: 50, hysteresis: 2, durationMs: 5000 });
+    assert.deepEqual([off.meter, off.metric, off.hysteresis, off.durationMs], ['dut', 'current', 0, 500]);
+    assert.equal(describeAlertRule(overload), 'power > 50 W for 5 s');
+    assert.equal(parseAlertRules('frequency<49@1m', [])[0].durationMs, 60000);
+  });
+
+  it('rejects invalid rules and unknown meters', () => {
+    assert.throws(() => parseAlertRules('pf<0.5', ['dut']), /Invalid metric/);
+    assert.throws(() => parseAlertRules('power>', ['dut']), /Invalid alert rule/);
+    assert.throws(() => parseAlertRules('aux:power>1', ['dut']), /Unknown meter/);
+  });
+});
+
+describe('AlertMonitor', () => {
+  it('raises alerts lasting the minimum duration, resolved past the hysteresis', () => {
+    const monitor = new AlertMonitor(parseAlertRules('power>10~2@200ms', ['dut']));
+    const events = [];
+    [12, 5, 12, 12, 15, 9, 7, 12].forEach((power, i) => {
+      for (const { event, alert } of monitor.check('dut', i * 100, { power })) {
+        events.push([i * 100, event, alert.id]);
+      }
+    });
+    // 12 W at 100 ms is too short, 12 W from 200 ms lasts 200 ms at 400 ms,
+    // 9 W is within the hysteresis
+    assert.deepEqual(events, [[400, 'alert', '1'], [600, 'resolved', '1']]);
+    const [alert] = monitor.alerts;
+    assert.deepEqual([alert.startTimeMs, alert.value, alert.peak, alert.endValue], [200, 15, 15, 7]);
+    assert.deepEqual(monitor.active(), []);
+  });
+
+  it('watches each meter separately, skipping samples without the value', () => {
+    const monitor = new AlertMonitor(parseAlertRules('power<1', ['dut', 'aux']));
+    assert.equal(monitor.check('dut', 0, { power: 0 }).length, 1);
+    assert.equal(monitor.check('aux', 0, { power: null }).length, 0);
+    assert.equal(monitor.check('aux', 100, { power: 0.5 }).length, 1);
+    assert.deepEqual(monitor.active().map(alert => alert.meter), ['dut', 'aux']);
+  });
+
+  it('only keeps the latest resolved alerts', () => {
+    const monitor = new AlertMonitor(parseAlertRules('power>10', ['dut', 'aux']), { maxPastAlerts: 2 });
+    monitor.check('aux', 0, { power: 20 });
+    for (let i = 0; i < 4; i++) {
+      monitor.check('dut', i * 200, { power: 20 });
+      monitor.check('dut', i * 200 + 100, { power: 0 });
+    }
+    assert.deepEqual(monitor.past().map(alert => alert.id), ['5', '4']);
+    assert.deepEqual(monitor.active().map(alert => alert.meter), ['aux']);
+    assert.equal(monitor.alerts.length, 3);
+  });
+});
+
+describe('sendWebhook', () => {
+  it('posts the payload as JSON', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+        res.statusCode = req.url === '/fail' ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      assert.equal(await sendWebhook(`${base}/hook`, { event: 'alert' }), 204);
+      assert.deepEqual(requests[0], { method: 'POST', type: 'application/json', body: { event: 'alert' } });
+      await assert.rejects(sendWebhook(`${base}/fail`, {}), /HTTP 500/);
+    } finally {
+      server.close();
+    }
+  });
+});
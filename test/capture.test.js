@@ -0,0 +1,77 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readCaptureHeader, readCaptureEvents } = require('../capture.js');
+const { createMeter } = require('../drivers.js');
+
+before(() => {
+  // Silence the drivers' status messages
+  mock.method(console, 'log', () => {});
+});
+
+/**
+ * Connect, stream for a while and return the origin and measurements
+ */
+async function record(meter, durationMs) {
+  const measurements = [];
+  await meter.connect();
+  await meter.identify();
+  const done = new Promise((resolve) => {
+    if (durationMs) {
+      setTimeout(resolve, durationMs);
+    } else {
+      meter.port.once('replay-end', resolve);
+    }
+  });
+  const startTime = meter.markTime('start');
+  meter.on('measurement', (measurement) => measurements.push(measurement));
+  await meter.startStreaming();
+  await done;
+  await meter.disconnect();
+  return { startTime, measurements };
+}
+
+describe('capture and replay', () => {
+  for (const type of ['isw8001-sim', 'mpm1010-sim']) {
+    it(`replays a ${type} capture with the original measurements and timing`, async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'capture-')), 'session.ndjson');
+
+      const original = await record(createMeter(type, { capture: file }), 1200);
+      assert.ok(original.measurements.length > 0);
+
+      const header = readCaptureHeader(file);
+      const events = [];
+      for await (const event of readCaptureEvents(file)) {
+        events.push(event);
+      }
+      assert.equal(header.driver, type);
+      assert.ok(events.some(event => event.dir === 'rx'));
+      assert.ok(events.some(event => event.dir === 'tx'));
+      assert.ok(events.some(event => event.mark === 'start'));
+
+      const replayed = await record(createMeter(type, { replay: file, replaySpeed: Infinity }));
+      assert.equal(replayed.startTime, original.startTime);
+      assert.deepEqual(replayed.measurements.slice(0, original.measurements.length), original.measurements);
+    });
+  }
+
+  it('rejects files that are not captures', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'capture-')), 'other.json');
+    fs.writeFileSync(file, '{"meta":{}}\n');
+    assert.throws(() => readCaptureHeader(file), /Not a capture file/);
+  });
+
+  it('reports invalid event lines with their line number', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'capture-')), 'broken.ndjson');
+    fs.writeFileSync(file, '{"type":"capture","version":1,"driver":"mpm1010","startTime":0}\n{"t":1,"dir":"rx","data":"21"}\n{"t":2,"dir\n');
+    const events = [];
+    await assert.rejects(async () => {
+      for await (const event of readCaptureEvents(file)) {
+        events.push(event);
+      }
+    }, /Invalid capture line 3/);
+    assert.deepEqual(events, [{ t: 1, dir: 'rx', data: '21' }]);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MPM1010 = require('../mpm1010.js');
+const { encodeDigits } = require('../emulators/mpm1010-emulator.js');
+const { createMeter } = require('../drivers.js');
+
+before(() => {
+  // Silence the drivers' status messages
+  mock.method(console, 'log', () => {});
+});
+
+describe('MPM1010 emulator encodeDigits', () => {
+  const meter = new MPM1010();
+
+  it('round-trips through decodeDigits', () => {
+    for (const [value, integerDigits] of [[242.3, 3], [0.005, 1], [1.09, 2], [1, 1], [50, 2], [150, 2]]) {
+      assert.equal(meter.decodeDigits(encodeDigits(value, integerDigits)), value);
+    }
+  });
+
+  it('matches the protocol documentation bytes', () => {
+    assert.equal(encodeDigits(242.3, 3).toString('hex'), '02041203');
+    assert.equal(encodeDigits(0.005, 1).toString('hex'), '10000005');
+  });
+
+  it('moves the decimal point when the value does not fit', () => {
+    assert.equal(meter.decodeDigits(encodeDigits(99.996, 2)), 100);
+    assert.equal(meter.decodeDigits(encodeDigits(12345, 2)), 9999);
+  });
+});
+
+describe('emulated drivers', () => {
+  for (const type of ['isw8001-sim', 'mpm1010-sim']) {
+    it(`${type} identifies and streams power measurements`, async () => {
+      const meter = createMeter(type);
+      await meter.connect();
+      try {
+        const { name } = await meter.identify();
+        assert.match(name, /emulator/);
+
+        const measurement = await new Promise((resolve) => {
+          meter.once('measurement', resolve);
+          meter.startStreaming();
+        });
+        assert.equal(typeof measurement.power, 'number');
+        assert.ok(measurement.voltage > 200);
+      } finally {
+        await meter.disconnect();
+      }
+    });
+  }
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { EventStream } = require('../lib/event-stream.js');
+
+/**
+ * Minimal http.ServerResponse stand-in recording what is written
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.headers = null;
+    this.body = '';
+    this.ended = false;
+  }
+
+  writeHead(status, headers) {
+    this.status = status;
+    this.headers = headers;
+  }
+
+  write(text) {
+    this.body += text;
+    return true;
+  }
+
+  end() {
+    this.ended = true;
+  }
+}
+
+describe('EventStream', () => {
+  it('writes events in the text/event-stream format', () => {
+    const res = new FakeResponse();
+    const stream = new EventStream(res);
+    stream.send('samples', { meter: 'dut' }, '{"samples":{"dut":1}}');
+    stream.send('end', {});
+    stream.close();
+
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(res.body, ': connected\n\n' +
+      'event: samples\nid: {"samples":{"dut":1}}\ndata: {"meter":"dut"}\n\n' +
+      'event: end\ndata: {}\n\n');
+    assert.ok(res.ended);
+  });
+
+  it('stops sending once the client disconnected', () => {
+    const res = new FakeResponse();
+    const stream = new EventStream(res);
+    let closed = false;
+    stream.on('close', () => closed = true);
+
+    res.emit('close');
+    assert.ok(closed);
+    assert.equal(stream.send('samples', {}), false);
+    assert.equal(res.body, ': connected\n\n');
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { parseTags, meterTags, formatLine, InfluxWriter } = require('../lib/influx.js');
+
+describe('parseTags', () => {
+  it('parses tags of every meter and of one meter', () => {
+    assert.deepEqual(parseTags('site=lab 1, dut:board=rev2', ['dut']), [
+      { meter: null, key: 'site', value: 'lab 1' },
+      { meter: 'dut', key: 'board', value: 'rev2' }
+    ]);
+    assert.deepEqual(parseTags('', ['dut']), []);
+  });
+
+  it('rejects invalid tags and unknown meters', () => {
+    assert.throws(() => parseTags('site', ['dut']), /Invalid tag/);
+    assert.throws(() => parseTags('aux:site=lab', ['dut']), /Unknown meter/);
+  });
+});
+
+describe('formatLine', () => {
+  const channel = { id: 'dut', deviceType: 'mpm1010', deviceName: 'MPM-1010, rev=2' };
+
+  it('formats the fields that are not null, with escaped tags', () => {
+    const tags = meterTags(channel, parseTags('site=lab 1,aux:board=rev2', ['dut', 'aux']));
+    const line = formatLine('wattmeter', tags, {
+      timestamp: 1760862600000.125, power: 1.5, voltage: 230, current: null, powerFactor: 0.9,
+      voltageRange: '500V', function: 'WATT "x"', fresh: true, frequency: NaN
+    });
+    assert.equal(line, 'wattmeter,meter=dut,device_type=mpm1010,device_name=MPM-1010\\,\\ rev\\=2,site=lab\\ 1 ' +
+      'power=1.5,voltage=230,power_factor=0.9,voltage_range="500V",function="WATT \\"x\\"",fresh=true 1760862600000125000');
+  });
+
+  it('leaves out empty tags, and measurements without fields', () => {
+    const tags = meterTags({ id: 'aux', deviceType: 'isw8001', deviceName: null });
+    assert.deepEqual(tags, { meter: 'aux', device_type: 'isw8001' });
+    assert.equal(formatLine('wattmeter', tags, { timestamp: 0, power: null }), null);
+  });
+});
+
+describe('InfluxWriter', () => {
+  let server;
+  let url;
+  let requests;
+  let status;
+  let backlogDir;
+
+  before(async () => {
+    // Silence the writer's status messages
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ status, authorization: req.headers.authorization, lines: body.split('\n').filter(Boolean) });
+        res.statusCode = status;
+        res.end(status === 400 ? '{"message":"bad line"}' : '');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/api/v2/write?org=lab&bucket=power`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  function createWriter(options = {}) {
+    requests = [];
+    status = 204;
+    backlogDir = fs.mkdtempSync(path.join(os.tmpdir(), 'influx-test-'));
+    return new InfluxWriter({ url, token: 'secret', backlogDir, flushIntervalMs: 60000, retryDelayMs: 60000, ...options });
+  }
+
+  it('sends full batches, and the rest when flushed', async () => {
+    const writer = createWriter({ batchSize: 2 });
+    try {
+      ['a', 'b', 'c'].forEach(line => writer.write(line));
+      await writer.flushing;
+      assert.deepEqual(requests.map(request => request.lines), [['a', 'b']]);
+      assert.equal(requests[0].authorization, 'Token secret');
+
+      await writer.close();
+      assert.deepEqual(requests.map(request => request.lines), [['a', 'b'], ['c']]);
+      assert.equal(writer.sentLines, 3);
+    } finally {
+      fs.rmSync(backlogDir, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the lines on disk while the endpoint is down, and sends them in order once it is back', async () => {
+    const writer = createWriter({ batchSize: 3 });
+    try {
+      status = 503;
+      writer.write('a');
+      await writer.flush();
+      // Retrying later: no request until then
+      ['b', 'c', 'd'].forEach(line => writer.write(line));
+      await writer.flush();
+      assert.equal(requests.length, 1);
+      assert.deepEqual(writer.backlog.map(entry => entry.lines), [1, 3]);
+      assert.equal(fs.readdirSync(backlogDir).length, 2);
+
+      // A restarted server picks up the backlog
+      await writer.close();
+      const restarted = new InfluxWriter({ url, backlogDir, batchSize: 3, flushIntervalMs: 60000 });
+      assert.deepEqual(restarted.backlog.map(entry => entry.lines), [1, 3]);
+
+      status = 204;
+      restarted.write('e');
+      await restarted.flush();
+      await restarted.close();
+      assert.deepEqual(requests.slice(1).map(request => request.lines), [['a'], ['b', 'c', 'd'], ['e']]);
+      assert.deepEqual(restarted.backlog, []);
+      assert.deepEqual(fs.readdirSync(backlogDir), []);
+    } finally {
+      fs.rmSync(backlogDir, { recursive: true, force: true });
+    }
+  });
+
+  it('drops lines the endpoint rejects, and the oldest ones of a full backlog', async () => {
+    const writer = createWriter({ batchSize: 2, maxBacklogBytes: 5 });
+    try {
+      status = 400;
+      writer.write('bad');
+      await writer.flush();
+      assert.equal(writer.droppedLines, 1);
+      assert.deepEqual(writer.backlog, []);
+
+      status = 500;
+      ['a', 'b', 'c', 'd'].forEach(line => writer.write(line));
+      await writer.flush();
+      writer.write('e');
+      await writer.close();
+      // "a\nb\n" and "c\nd\n" went over 5 bytes
+      assert.deepEqual(writer.backlog.map(entry => entry.lines), [1]);
+      assert.equal(writer.droppedLines, 5);
+    } finally {
+      fs.rmSync(backlogDir, { recursive: true, force: true });
+    }
+  });
+
+  it('drops the lines it can neither send nor keep on disk', async () => {
+    const writer = createWriter({ batchSize: 2 });
+    // A directory under a file can't be created, even as root
+    fs.writeFileSync(path.join(backlogDir, 'file'), '');
+    writer.backlogDir = path.join(backlogDir, 'file', 'backlog');
+    try {
+      status = 503;
+      ['a', 'b', 'c'].forEach(line => writer.write(line));
+      await writer.close();
+      assert.equal(writer.droppedLines, 3);
+      assert.deepEqual(writer.backlog, []);
+
+      // Backlog files removed while waiting are skipped
+      writer.backlogDir = backlogDir;
+      writer.retryAt = 0;
+      writer.write('d');
+      await writer.flush({ drain: false });
+      fs.rmSync(writer.backlog[0].file);
+      writer.retryAt = 0;
+      await writer.flush();
+      assert.equal(writer.droppedLines, 4);
+      assert.deepEqual(writer.backlog, []);
+    } finally {
+      fs.rmSync(backlogDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ISW8001 = require('../isw8001.js');
+
+describe('ISW8001.parseMeasurement', () => {
+  const meter = new ISW8001();
+
+  it('parses voltage, current and power values', () => {
+    assert.deepEqual(meter.parseMeasurement('U3=238.5E+0 I1=0.3E-3 W=0.02E+0'), {
+      voltageRange: '500V',
+      voltage: 238.5,
+      currentRange: '160mA',
+      current: 0.0003,
+      type: 'W',
+      value: 0.02,
+      unit: 'W'
+    });
+  });
+
+  for (const [type, unit] of [
+    ['W', 'W'],
+    ['VAR', 'VAr'],
+    ['PF', ''],
+    ['DCV', 'V'],
+    ['ACV', 'V'],
+    ['DCA', 'A'],
+    ['ACA', 'A']
+  ]) {
+    it(`parses ${type} measurements`, () => {
+      const parsed = meter.parseMeasurement(`U2=120.0E+0 I2=0.5E+0 ${type}=12.5E-3`);
+      assert.equal(parsed.type, type);
+      assert.equal(parsed.value, 0.0125);
+      assert.equal(parsed.unit, unit);
+    });
+  }
+
+  it('keeps PF=overflow as text', () => {
+    const parsed = meter.parseMeasurement('U1=0.01E+0 I1=0.0E-3 PF=overflow');
+    assert.equal(parsed.type, 'PF');
+    assert.equal(parsed.value, 'overflow');
+  });
+
+  it('parses negative values', () => {
+    assert.equal(meter.parseMeasurement('U1=0.01E+0 I1=0.0E-3 W=-1.500E+0').value, -1.5);
+  });
+
+  it('maps every range', () => {
+    for (const [line, voltageRange, currentRange] of [
+      ['U1 I1 W=1.0E+0', '50V', '160mA'],
+      ['U2 I2 W=10.0E+0', '150V', '1.6A'],
+      ['U3 I3 W=100.0E+0', '500V', '16A'],
+      ['U1 Ix W=5.0E+0', '50V', 'External']
+    ]) {
+      const parsed = meter.parseMeasurement(line);
+      assert.equal(parsed.voltageRange, voltageRange, line);
+      assert.equal(parsed.currentRange, currentRange, line);
+    }
+  });
+
+  it('parses the external current range with a value', () => {
+    const parsed = meter.parseMeasurement('U3=230.0E+0 Ix=2.5E+0 W=500.0E+0');
+    assert.equal(parsed.currentRange, 'External');
+    assert.equal(parsed.current, 2.5);
+  });
+
+  it('parses status-only lines without a value', () => {
+    const parsed = meter.parseMeasurement('WATT U1 I2');
+    assert.deepEqual(parsed, { voltageRange: '50V', currentRange: '1.6A' });
+  });
+
+  it('returns an empty object for non-measurement responses', () => {
+    assert.deepEqual(meter.parseMeasurement('version 1.04'), {});
+  });
+});
+
+describe('ISW8001.normalizeMeasurement', () => {
+  const meter = new ISW8001();
+
+  it('fills power for W measurements', () => {
+    const measurement = meter.normalizeMeasurement(meter.parseMeasurement('U3=238.5E+0 I1=0.3E-3 W=0.02E+0'), 1000);
+    assert.equal(measurement.timestamp, 1000);
+    assert.equal(measurement.power, 0.02);
+    assert.equal(measurement.voltage, 238.5);
+    assert.equal(measurement.current, 0.0003);
+    assert.equal(measurement.powerFactor, null);
+    assert.equal(measurement.frequency, null);
+    assert.equal(measurement.voltageRange, '500V');
+    assert.equal(measurement.currentRange, '160mA');
+  });
+
+  it('fills power factor for PF measurements', () => {
+    const measurement = meter.normalizeMeasurement(meter.parseMeasurement('U3=230.0E+0 I1=0.1E+0 PF=0.950E+0'));
+    assert.equal(measurement.power, null);
+    assert.equal(measurement.powerFactor, 0.95);
+  });
+
+  it('leaves power factor null on overflow', () => {
+    const measurement = meter.normalizeMeasurement(meter.parseMeasurement('U1=0.01E+0 I1=0.0E-3 PF=overflow'));
+    assert.equal(measurement.powerFactor, null);
+    assert.equal(measurement.value, 'overflow');
+  });
+
+  it('does not report volts as power', () => {
+    const measurement = meter.normalizeMeasurement(meter.parseMeasurement('U3=230.0E+0 I1=0.1E+0 ACV=230.0E+0'));
+    assert.equal(measurement.power, null);
+    assert.equal(measurement.type, 'ACV');
+  });
+
+  it('tags measurements with their function and unit', () => {
+    for (const [line, func, unit] of [
+      ['U3=230.0E+0 I1=0.1E+0 W=20.00E+0', 'WATT', 'W'],
+      ['U3=230.0E+0 I1=0.1E+0 VAR=5.000E+0', 'VAR', 'VAr'],
+      ['U3=230.0E+0 I1=0.1E+0 DCV=230.0E+0', 'VOLT', 'V'],
+      ['U3=230.0E+0 I1=0.1E+0 ACA=0.100E+0', 'AMP', 'A'],
+      ['U3=230.0E+0 I1=0.1E+0 PF=0.870E+0', 'PWF', '']
+    ]) {
+      const measurement = meter.normalizeMeasurement(meter.parseMeasurement(line));
+      assert.equal(measurement.function, func, line);
+      assert.equal(measurement.unit, unit, line);
+    }
+  });
+});
+
+describe('ISW8001 timestamps', () => {
+  it('times measurements from the arrival of the end of their line', async () => {
+    const meter = new ISW8001();
+    const port = new PassThrough();
+    let time = 1000.125;
+    meter.now = () => time;
+    meter.setupPort(port);
+    meter.autoModeEnabled = true;
+    const measurements = [];
+    meter.on('measurement', (measurement) => measurements.push(measurement));
+
+    port.emit('data', Buffer.from('U3=230.0E+0 I1=0.1E+0 '));
+    time = 1004.5;
+    port.emit('data', Buffer.from('W=20.00E+0\r'));
+    // The parser may get to the line later
+    time = 1100;
+    await new Promise(resolve => setImmediate(resolve));
+
+    // 33 bytes with the CR, 10 bits each at 9600 baud
+    assert.equal(measurements.length, 1);
+    assert.equal(measurements[0].latency, 34.375);
+    assert.equal(measurements[0].timestamp, 1004.5 - 34.375);
+  });
+
+  it('takes longer lines at 1200 baud into account', () => {
+    const meter = new ISW8001({ baudRate: 1200 });
+    assert.deepEqual(meter.measurementTime(1000, 33), { timestamp: 725, latency: 275 });
+  });
+});
+
+describe('ISW8001 function multiplexing', () => {
+  /**
+   * Create a meter cycling through functions, collecting emitted measurements and sent commands
+   */
+  function createMultiplexedMeter(functions) {
+    const meter = new ISW8001();
+    meter.multiplexer = { functions, index: 0, latest: {}, readingTimes: {} };
+    meter.sent = [];
+    meter.sendCommand = (command) => meter.sent.push(command);
+    meter.measurements = [];
+    meter.on('measurement', (measurement) => meter.measurements.push(measurement));
+    return meter;
+  }
+
+  function read(meter, line, timestamp) {
+    meter.multiplexMeasurement(meter.normalizeMeasurement(meter.parseMeasurement(line), timestamp));
+  }
+
+  it('tags readings and selects the next function', () => {
+    const meter = createMultiplexedMeter(['WATT', 'VAR', 'PWF']);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 W=90.00E+0', 0);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 VAR=40.00E+0', 470);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 PF=0.900E+0', 940);
+
+    assert.deepEqual(meter.measurements.map(m => m.function), ['WATT', 'VAR', 'PWF']);
+    assert.deepEqual(meter.sent, ['VAR', 'PWF', 'WATT']);
+  });
+
+  it('only reports the value of the measured function and derives apparent power', () => {
+    const meter = createMultiplexedMeter(['WATT', 'VAR', 'PWF']);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 W=90.00E+0', 0);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 VAR=-120.0E+0', 470);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 PF=0.600E+0', 940);
+
+    assert.deepEqual(meter.measurements.map(m => [m.power, m.reactivePower, m.powerFactor]),
+      [[90, null, null], [null, -120, null], [null, null, 0.6]]);
+    assert.equal(meter.measurements[0].apparentPower, null);
+    assert.equal(meter.measurements[1].apparentPower, 150);
+    assert.equal(meter.measurements[2].apparentPower, 150);
+  });
+
+  it('drops readings sent before the function switch', () => {
+    const meter = createMultiplexedMeter(['WATT', 'VAR']);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 W=90.00E+0', 0);
+    read(meter, 'U3=230.0E+0 I2=0.5E+0 W=91.00E+0', 470);
+
+    assert.equal(meter.measurements.length, 1);
+    assert.deepEqual(meter.sent, ['VAR']);
+  });
+
+  it('reports the effective rate per function', () => {
+    const meter = createMultiplexedMeter(['WATT', 'VAR']);
+    assert.deepEqual(meter.multiplexInfo().rates, { WATT: 1.064, VAR: 1.064 });
+
+    for (let i = 0; i < 4; i++) {
+      read(meter, 'U3=230.0E+0 I2=0.5E+0 W=90.00E+0', i * 1000);
+      read(meter, 'U3=230.0E+0 I2=0.5E+0 VAR=40.00E+0', i * 1000 + 500);
+    }
+    assert.deepEqual(meter.multiplexInfo(), { functions: ['WATT', 'VAR'], rates: { WATT: 1, VAR: 1 } });
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MeterMetrics, formatOpenMetrics, meterFamilies } = require('../lib/metrics.js');
+const { recordingStats } = require('../lib/stats.js');
+const { recordingProfile } = require('../lib/profile.js');
+const { SampleStore } = require('../lib/sample-store.js');
+const { SessionList } = require('../lib/sessions.js');
+
+describe('MeterMetrics', () => {
+  it('integrates power and keeps the latest values of multiplexed samples', () => {
+    const metrics = new MeterMetrics();
+    metrics.add(0, { power: 10, voltage: 230, voltageRange: '500V', currentRange: '1.6A' });
+    metrics.add(1000, { power: 20, voltage: null });
+    // Other function: the next power counts from the previous power sample
+    metrics.add(2000, { power: null, powerFactor: 0.9 });
+    metrics.add(3000, { power: 30, currentRange: '16A' });
+    metrics.add(3500, { power: 40 });
+
+    assert.equal(metrics.samples, 5);
+    assert.equal(metrics.energyJoules, 20 + 30 * 2 + 40 * 0.5);
+    assert.deepEqual(metrics.latest, { power: 40, voltage: 230, powerFactor: 0.9, voltageRange: '500V', currentRange: '16A' });
+    assert.equal(metrics.lastTimeMs, 3500);
+  });
+
+  it('leaves out the time spent in other functions, like /stats and the profile', () => {
+    // 10 W every 100 ms for 1 s, then 10 minutes of VOLT readings, then 20 W
+    const metrics = new MeterMetrics();
+    const store = new SampleStore();
+    const add = (timeMs, sample) => {
+      metrics.add(timeMs, sample);
+      store.append(timeMs, sample);
+    };
+    for (let time = 0; time <= 1000; time += 100) {
+      add(time, { power: 10, function: 'WATT' });
+    }
+    for (let time = 1100; time <= 601000; time += 100) {
+      add(time, { power: null, voltage: 230, function: 'VOLT' });
+    }
+    for (let time = 601100; time <= 601500; time += 100) {
+      add(time, { power: 20, function: 'WATT' });
+    }
+
+    // The first 20 W reading only counts for 5 times the usual interval
+    assert.equal(metrics.energyJoules, 10 * 1 + 20 * 0.5 + 20 * 0.4);
+    const recording = { startTime: 0, meters: [{ id: 'dut', label: 'DUT', store, debugTimingEvents: [] }], markers: [], sessions: new SessionList() };
+    const [stats] = recordingStats(recording).meters;
+    assert.equal(stats.energy_wh * 3600, metrics.energyJoules);
+    const [counter] = recordingProfile(recording).counters;
+    const picoWattHours = joules => Math.round(joules / 3600 * 1e12);
+    assert.deepEqual(counter.samples.count.slice(1),
+      [...new Array(10).fill(picoWattHours(1)), picoWattHours(10), ...new Array(4).fill(picoWattHours(2))]);
+  });
+});
+
+describe('formatOpenMetrics', () => {
+  it('formats families with units, suffixes and escaped labels', () => {
+    const text = formatOpenMetrics([
+      { name: 'x_joules', type: 'counter', unit: 'joules', help: 'Energy', samples: [{ labels: { name: 'a "b"\\c\nd' }, value: 1.5 }] },
+      { name: 'y', type: 'info', unit: null, help: 'Info', samples: [{ labels: {}, value: 1 }] },
+      { name: 'z', type: 'gauge', unit: null, help: 'Gauge', samples: [{ labels: {}, value: Infinity }] }
+    ]);
+    assert.equal(text, [
+      '# TYPE x_joules counter',
+      '# UNIT x_joules joules',
+      '# HELP x_joules Energy',
+      'x_joules_total{name="a \\"b\\"\\\\c\\nd"} 1.5',
+      '# TYPE y info',
+      '# HELP y Info',
+      'y_info 1',
+      '# TYPE z gauge',
+      '# HELP z Gauge',
+      'z +Inf',
+      '# EOF',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('meterFamilies', () => {
+  it('labels the series of each meter with its device', () => {
+    const dut = new MeterMetrics();
+    dut.add(0, { power: 2, voltage: 230, voltageRange: '500V', currentRange: '160mA' });
+    dut.add(500, { power: 4, voltage: 231 });
+    const meters = [
+      {
+        id: 'dut', deviceType: 'isw8001', deviceName: 'ISW8001 V1.2', status: { state: 'streaming' },
+        meter: { linkErrors: { port: 0, timeout: 1, frame: 2 } }, metrics: dut
+      },
+      {
+        id: 'aux', deviceType: 'mpm1010', deviceName: null, status: { state: 'connecting' },
+        meter: { linkErrors: { port: 3, timeout: 0, frame: 0 } }, metrics: new MeterMetrics()
+      }
+    ];
+    const text = formatOpenMetrics(meterFamilies(meters, 1700000000000));
+    const dutLabels = 'meter="dut",device_type="isw8001",device_name="ISW8001 V1.2"';
+    const auxLabels = 'meter="aux",device_type="mpm1010",device_name=""';
+    const lines = text.split('\n');
+
+    for (const line of [
+      `wattmeter_up{${dutLabels}} 1`,
+      `wattmeter_up{${auxLabels}} 0`,
+      `wattmeter_power_watts{${dutLabels}} 4`,
+      `wattmeter_voltage_volts{${dutLabels}} 231`,
+      `wattmeter_energy_joules_total{${dutLabels}} 2`,
+      `wattmeter_energy_joules_total{${auxLabels}} 0`,
+      `wattmeter_samples_total{${dutLabels}} 2`,
+      `wattmeter_link_errors_total{${dutLabels},kind="frame"} 2`,
+      `wattmeter_link_errors_total{${auxLabels},kind="port"} 3`,
+      `wattmeter_range_info{${dutLabels},voltage_range="500V",current_range="160mA"} 1`,
+      `wattmeter_last_sample_timestamp_seconds{${dutLabels}} 1700000000.5`
+    ]) {
+      assert.ok(lines.includes(line), `Missing ${line}`);
+    }
+    // No values yet: no gauges
+    assert.ok(!text.includes(`wattmeter_power_watts{${auxLabels}}`));
+    // Families without samples are left out
+    assert.ok(!text.includes('wattmeter_frequency_hertz'));
+    assert.ok(text.endsWith('# EOF\n'));
+  });
+});
@@ -0,0 +1,209 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const MPM1010 = require('../mpm1010.js');
+
+// Frame from docs/MPM1010-PROTOCOL.md: 242.3V, 0.005A, 1.09W, PF 1.000, 50.00Hz
+const FRAME = Buffer.from('21' + '02041203' + '10000005' + '00110009' + '11000000' + '05100000', 'hex');
+
+/**
+ * Create a meter attached to a fake port, collecting emitted measurements
+ */
+function createMeter() {
+  const meter = new MPM1010();
+  const port = new EventEmitter();
+  port.written = [];
+  port.write = (data) => port.written.push(data);
+  meter.port = port;
+  meter.setupPort(port);
+  meter.autoModeEnabled = true;
+  meter.measurements = [];
+  meter.on('measurement', (measurement) => meter.measurements.push(measurement));
+  return meter;
+}
+
+/**
+ * Feed chunks to the meter as if they came from the serial port
+ */
+async function feed(meter, ...chunks) {
+  for (const chunk of chunks) {
+    meter.port.emit('data', Buffer.from(chunk));
+  }
+  // processBuffer() handles leftover data on the next tick
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('MPM1010.decodeDigits', () => {
+  const meter = new MPM1010();
+
+  it('decodes the protocol documentation examples', () => {
+    assert.equal(meter.decodeDigits(Buffer.from([0x02, 0x04, 0x12, 0x03])), 242.3);
+    assert.equal(meter.decodeDigits(Buffer.from([0x10, 0x00, 0x00, 0x05])), 0.005);
+    assert.equal(meter.decodeDigits(Buffer.from([0x11, 0x00, 0x00, 0x00])), 1);
+  });
+
+  it('decodes values without a decimal point', () => {
+    assert.equal(meter.decodeDigits(Buffer.from([0x01, 0x02, 0x03, 0x04])), 1234);
+  });
+});
+
+describe('MPM1010.processBuffer', () => {
+  let meter;
+
+  before(() => {
+    // Silence the driver's status messages
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(async () => {
+    // Clear the fallback timers started by the automatic requests
+    await meter.disableAutoMode();
+  });
+
+  it('decodes a complete frame', async () => {
+    meter = createMeter();
+    await feed(meter, FRAME);
+
+    assert.equal(meter.measurements.length, 1);
+    const [measurement] = meter.measurements;
+    assert.equal(measurement.voltage, 242.3);
+    assert.equal(measurement.current, 0.005);
+    assert.equal(measurement.power, 1.09);
+    assert.equal(measurement.powerFactor, 1);
+    assert.equal(measurement.frequency, 50);
+    assert.equal(typeof measurement.timestamp, 'number');
+  });
+
+  it('reassembles frames split across chunks', async () => {
+    meter = createMeter();
+    await feed(meter, ...[...FRAME].map(byte => [byte]));
+
+    assert.equal(meter.measurements.length, 1);
+    assert.equal(meter.measurements[0].power, 1.09);
+    assert.equal(meter.measurements[0].frequency, 50);
+  });
+
+  it('times frames from the arrival of their "!", minus the serial delay', async () => {
+    meter = createMeter();
+    meter.now = () => 2000;
+    // The chunk with the "!" has 13 bytes of the frame, 10 bits each at 9600 baud
+    await feed(meter, Buffer.concat([Buffer.from([0, 0]), FRAME.subarray(0, 13)]));
+    meter.now = () => 2010;
+    await feed(meter, FRAME.subarray(13));
+
+    const [measurement] = meter.measurements;
+    assert.equal(measurement.latency, 16.542);
+    assert.equal(measurement.timestamp, 1983.458);
+  });
+
+  it('waits for more data on incomplete frames', async () => {
+    meter = createMeter();
+    await feed(meter, FRAME.subarray(0, 15));
+    assert.equal(meter.measurements.length, 0);
+
+    await feed(meter, FRAME.subarray(15));
+    assert.equal(meter.measurements.length, 1);
+  });
+
+  it('keeps V/I/W of frames interrupted by a new "!"', async () => {
+    meter = createMeter();
+    await feed(meter, FRAME.subarray(0, 13), FRAME);
+
+    assert.equal(meter.measurements.length, 2);
+    assert.equal(meter.measurements[0].power, 1.09);
+    assert.equal(meter.measurements[0].powerFactor, null);
+    assert.equal(meter.measurements[0].frequency, null);
+    assert.equal(meter.measurements[1].frequency, 50);
+  });
+
+  it('keeps the power factor of frames interrupted during frequency', async () => {
+    meter = createMeter();
+    await feed(meter, FRAME.subarray(0, 18), FRAME);
+
+    assert.equal(meter.measurements[0].powerFactor, 1);
+    assert.equal(meter.measurements[0].frequency, null);
+  });
+
+  it('ignores frames interrupted before the power value, counting them as link errors', async () => {
+    meter = createMeter();
+    await feed(meter, FRAME.subarray(0, 6), FRAME);
+
+    assert.equal(meter.measurements.length, 1);
+    assert.equal(meter.measurements[0].frequency, 50);
+    assert.deepEqual(meter.linkErrors, { port: 0, timeout: 0, frame: 1 });
+  });
+
+  it('handles back-to-back "!" delimiters', async () => {
+    meter = createMeter();
+    await feed(meter, Buffer.concat([Buffer.from('!!'), FRAME]));
+
+    assert.equal(meter.measurements.length, 1);
+    assert.equal(meter.measurements[0].voltage, 242.3);
+  });
+
+  it('splits frames instead of misaligning them', async () => {
+    // "...11 00 09 21 02 04 12 03..." must not be read as 1242W
+    meter = createMeter();
+    await feed(meter, Buffer.concat([FRAME.subarray(0, 13), FRAME.subarray(0, 5), FRAME.subarray(5)]));
+
+    assert.deepEqual(meter.measurements.map(m => m.power), [1.09, 1.09]);
+    assert.deepEqual(meter.measurements.map(m => m.voltage), [242.3, 242.3]);
+  });
+
+  it('skips bytes before the first "!"', async () => {
+    meter = createMeter();
+    await feed(meter, Buffer.concat([Buffer.from([0x05, 0x10, 0x00]), FRAME]));
+
+    assert.equal(meter.measurements.length, 1);
+    assert.equal(meter.measurements[0].voltage, 242.3);
+  });
+
+  it('requests the next measurement once the power value arrived', async () => {
+    meter = createMeter();
+    await feed(meter, FRAME.subarray(0, 12));
+    assert.deepEqual(meter.port.written, []);
+
+    await feed(meter, FRAME.subarray(12, 13));
+    assert.deepEqual(meter.port.written, ['?']);
+  });
+});
+
+describe('MPM1010.detectUpdate', () => {
+  const frame = (power) => ({ voltage: 230, current: 0.1, power });
+
+  it('flags repeated frames', () => {
+    const meter = new MPM1010();
+    assert.deepEqual(meter.detectUpdate(frame(10), 0), { fresh: true, updateTime: null });
+    assert.equal(meter.detectUpdate(frame(10), 50).fresh, false);
+    assert.deepEqual(meter.detectUpdate(frame(11), 100), { fresh: true, updateTime: 75 });
+    assert.equal(meter.detectUpdate(frame(11), 150).fresh, false);
+  });
+
+  it('narrows down the update clock', () => {
+    const meter = new MPM1010();
+    meter.detectUpdate(frame(10), 0);
+    meter.detectUpdate(frame(11), 100); // update in (0, 100]
+    assert.equal(meter.detectUpdate(frame(11), 300).fresh, false);
+    // Next update in (250, 350] and (300, 320]
+    assert.equal(meter.detectUpdate(frame(12), 320).updateTime, 310);
+  });
+
+  it('detects updates with unchanged values from the update clock', () => {
+    const meter = new MPM1010();
+    meter.detectUpdate(frame(10), 0);
+    meter.detectUpdate(frame(11), 40); // update in (0, 40]
+    assert.equal(meter.detectUpdate(frame(11), 200).fresh, false);
+    const repeat = meter.detectUpdate(frame(11), 300); // next update in (250, 290] + drift
+    assert.equal(repeat.fresh, true);
+    assert.ok(Math.abs(repeat.updateTime - 270) < 1, repeat.updateTime);
+  });
+
+  it('starts over when the update clock is contradicted', () => {
+    const meter = new MPM1010();
+    meter.detectUpdate(frame(10), 0);
+    meter.detectUpdate(frame(11), 40);
+    assert.deepEqual(meter.detectUpdate(frame(12), 150), { fresh: true, updateTime: 95 });
+  });
+});
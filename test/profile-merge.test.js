@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { profileTimeRange, mergeProfile, mergeRecording } = require('../lib/profile-merge.js');
+const { recordingProfile } = require('../lib/profile.js');
+const { SampleStore } = require('../lib/sample-store.js');
+const { parseArgs } = require('../wattmeter-profile.js');
+
+/**
+ * Recording with one meter sampling 10 W every 100 ms during 1 s
+ */
+function makeRecording() {
+  const store = new SampleStore();
+  for (let i = 0; i <= 10; i++) {
+    store.append(i * 100, { power: 10, voltage: 230, current: 0.05, voltageRange: '500V' });
+  }
+  return {
+    startTime: 1000000,
+    meters: [{ id: 'dut', label: 'DUT', deviceName: 'ISW8001', deviceVersion: '1.04', store, debugTimingEvents: [] }],
+    markers: []
+  };
+}
+
+/**
+ * Gecko profile of a browser, started 200 ms after the recording, with
+ * samples from 100 to 500 ms
+ */
+function makeGeckoProfile() {
+  return {
+    meta: { version: 27, startTime: 1000200, categories: [{ name: 'Idle' }, { name: 'Other' }] },
+    threads: [{
+      name: 'GeckoMain',
+      samples: { schema: { stack: 0, time: 1 }, data: [[null, 100], [null, 500]] },
+      markers: { schema: { name: 0, startTime: 1, endTime: 2, phase: 3, category: 4, data: 5 }, data: [] },
+      stringTable: ['Voltage']
+    }],
+    processes: []
+  };
+}
+
+describe('profileTimeRange', () => {
+  it('spans the samples and markers of a Gecko profile and its processes', () => {
+    const profile = makeGeckoProfile();
+    profile.processes.push({
+      meta: { startTime: 1000300 },
+      threads: [{
+        samples: { schema: { time: 0 }, data: [] },
+        markers: { schema: { startTime: 0, endTime: 1 }, data: [[0, 600]] }
+      }]
+    });
+    assert.deepEqual(profileTimeRange(profile), { start: 1000300, end: 1000900 });
+  });
+
+  it('uses the profiling times of a processed profile', () => {
+    const profile = recordingProfile(makeRecording());
+    assert.deepEqual(profileTimeRange(profile), { start: 1000000, end: 1001000 });
+  });
+
+  it('rejects other files', () => {
+    assert.throws(() => profileTimeRange({ type: 'recording' }), /Not a Firefox Profiler profile/);
+  });
+});
+
+describe('mergeProfile', () => {
+  it('adds counters and markers to a Gecko profile', () => {
+    const profile = mergeRecording(makeGeckoProfile(), makeRecording());
+    const [counter] = profile.counters;
+    assert.equal(counter.name, 'DUT');
+    // Samples from 300 to 700 ms since the recording start, timed from the profile start
+    assert.deepEqual(counter.samples.data.map(row => row[0]), [100, 200, 300, 400, 500]);
+
+    const [thread] = profile.threads;
+    const voltages = thread.markers.data.filter(row => thread.stringTable[row[0]] === 'Voltage');
+    assert.equal(voltages.length, 5);
+    assert.deepEqual(voltages[0], [0, 100, null, 0, 1, { type: 'volt', v: 230 }]);
+    assert.equal(thread.stringTable.filter(string => string === 'Voltage').length, 1);
+    assert.ok(profile.meta.markerSchema.some(schema => schema.name === 'volt'));
+  });
+
+  it('adds counters and markers to a processed profile', () => {
+    const recording = makeRecording();
+    const target = recordingProfile(recording, { from: 500 });
+    const power = recordingProfile(recording, { from: 200, to: 800 });
+    const profile = mergeProfile(target, power);
+
+    assert.equal(profile.counters.length, 2);
+    assert.deepEqual(profile.counters[1].samples.time, [-300, -200, -100, 0, 100, 200, 300]);
+    const { markers } = profile.threads[0];
+    assert.equal(markers.length, markers.name.length);
+    assert.equal(markers.startTime.at(-1), 300);
+  });
+
+  it('fails without samples during the profile', () => {
+    const profile = makeGeckoProfile();
+    profile.meta.startTime = 2000000;
+    assert.throws(() => mergeRecording(profile, makeRecording()), /No samples/);
+  });
+});
+
+describe('wattmeter-profile --merge', () => {
+  it('names the output after the Firefox profile', () => {
+    const options = parseArgs(['a.ndjson', '--merge', 'profiles/firefox.json.gz']);
+    assert.equal(options.merge, 'profiles/firefox.json.gz');
+    assert.equal(options.output, 'profiles/firefox-power.json');
+    assert.throws(() => parseArgs(['a.ndjson', '--merge', 'firefox.json', '--session', '1']), /can't be combined/);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildProfile, recordingProfile } = require('../lib/profile.js');
+const { SampleStore } = require('../lib/sample-store.js');
+const { SessionList } = require('../lib/sessions.js');
+const { parseArgs } = require('../wattmeter-profile.js');
+
+/**
+ * Recording with one meter sampling 10 W every 100 ms, 500V range until 300 ms
+ */
+function makeRecording() {
+  const store = new SampleStore();
+  for (let i = 0; i < 6; i++) {
+    store.append(i * 100, { power: 10, voltage: 230, current: 0.05, voltageRange: i < 3 ? '500V' : '150V' });
+  }
+  return {
+    startTime: 1000000,
+    meters: [{ id: 'dut', label: 'DUT', deviceName: 'ISW8001', deviceVersion: '1.04', store, debugTimingEvents: [] }],
+    markers: [{ meter: 'dut', name: 'Function', timeMs: 250, data: { type: 'function', function: 'WATT' } }],
+    sessions: new SessionList()
+  };
+}
+
+function markerNames(profile) {
+  const { markers, stringTable } = profile.threads[0];
+  return markers.name.map(index => stringTable._array[index]);
+}
+
+describe('buildProfile', () => {
+  it('converts power to energy per sample, in picowatt-hours', () => {
+    const profile = recordingProfile(makeRecording());
+    const [counter] = profile.counters;
+    assert.equal(counter.name, 'DUT');
+    assert.deepEqual(counter.samples.time, [0, 100, 200, 300, 400, 500]);
+    // 10 W during 100 ms = 1 Ws
+    assert.deepEqual(counter.samples.count, new Array(6).fill(Math.round(1 / 3600 * 1e12)));
+    assert.equal(profile.meta.startTime, 1000000);
+    assert.equal(profile.meta.interval, 100);
+    assert.equal(profile.meta.product, 'ISW8001 1.04');
+  });
+
+  it('adds value, range and server markers', () => {
+    const profile = recordingProfile(makeRecording());
+    const names = markerNames(profile);
+    assert.equal(names.filter(name => name === 'Voltage').length, 6);
+    assert.ok(!names.includes('Reactive Power'));
+
+    const { markers } = profile.threads[0];
+    const ranges = markers.data.filter((data, i) => names[i] === 'Voltage Range');
+    assert.deepEqual(ranges, [
+      { type: 'range', range: '500V' },
+      { type: 'range', range: '150V', from: '500V' },
+      { type: 'range', range: '150V' }
+    ]);
+    const functionMarker = names.indexOf('Function');
+    assert.equal(markers.startTime[functionMarker], 250);
+  });
+
+  it('exports user markers with a schema of their data', () => {
+    const recording = makeRecording();
+    recording.markers.push(
+      { id: '2', meter: null, name: 'Page load', timeMs: 100, endTimeMs: 300, data: { type: 'user', url: '/', step: 1 } },
+      { id: '3', meter: null, name: 'Idle', timeMs: 400, endTimeMs: null, data: { type: 'user', step: 'last', tags: ['a'] } }
+    );
+    const profile = recordingProfile(recording);
+    const names = markerNames(profile);
+    const { markers } = profile.threads[0];
+
+    const load = names.indexOf('Page load');
+    assert.deepEqual([markers.startTime[load], markers.endTime[load], markers.phase[load]], [100, 300, 1]);
+    const idle = names.indexOf('Idle');
+    assert.deepEqual([markers.startTime[idle], markers.endTime[idle], markers.phase[idle]], [400, null, 2]);
+    assert.equal(markers.data[idle].tags, '["a"]');
+
+    const schema = profile.meta.markerSchema.find(candidate => candidate.name === 'user');
+    assert.deepEqual(schema.data, [
+      { key: 'url', label: 'url', format: 'string' },
+      { key: 'step', label: 'step', format: 'string' },
+      { key: 'tags', label: 'tags', format: 'string' }
+    ]);
+  });
+
+  it('returns null without samples', () => {
+    assert.equal(buildProfile({ startTime: 0, meters: [{ id: 'dut', series: { power: [] } }] }), null);
+  });
+});
+
+describe('recordingProfile', () => {
+  it('keeps a time range, timed from its start', () => {
+    const profile = recordingProfile(makeRecording(), { from: 150, to: 350 });
+    assert.equal(profile.meta.startTime, 1000150);
+    assert.deepEqual(profile.counters[0].samples.time, [50, 150]);
+    assert.equal(profile.threads[0].markers.startTime[markerNames(profile).indexOf('Function')], 100);
+  });
+
+  it('keeps the intervals overlapping the range', () => {
+    const recording = makeRecording();
+    recording.markers.push({ id: '2', meter: 'dut', name: 'Test', timeMs: 100, endTimeMs: 200, data: { type: 'user' } });
+    const profile = recordingProfile(recording, { from: 150, to: 350 });
+    const test = markerNames(profile).indexOf('Test');
+    assert.equal(profile.threads[0].markers.startTime[test], -50);
+    assert.equal(profile.threads[0].markers.endTime[test], 50);
+  });
+
+  it('keeps the exact sample times and start time', () => {
+    const recording = makeRecording();
+    recording.startTime = 1000000.25;
+    recording.meters[0].store.append(600.125, { power: 10 });
+    const profile = recordingProfile(recording, { from: 100.1 });
+    assert.equal(profile.meta.startTime, 1000100.35);
+    assert.equal(profile.counters[0].samples.time.at(-1), 500.025);
+  });
+
+  it('keeps the samples of a session', () => {
+    const recording = makeRecording();
+    const session = recording.sessions.start('Load', { dut: 2 }, 200);
+    recording.sessions.stop(session.id, { dut: 4 }, 400);
+
+    const profile = recordingProfile(recording, { session });
+    assert.equal(profile.meta.startTime, 1000200);
+    assert.deepEqual(profile.counters[0].samples.time, [0, 100]);
+  });
+
+  it('adds a counter above the baseline of a session', () => {
+    const recording = makeRecording();
+    const session = recording.sessions.start('Load', { dut: 0 }, 0);
+    recording.sessions.setBaseline(session.id, { from: 0, to: 100, power: { dut: 4 } });
+
+    const profile = recordingProfile(recording, { session });
+    assert.deepEqual(profile.counters.map(counter => counter.name), ['DUT', 'DUT above baseline']);
+    // 6 W during 100 ms = 0.6 Ws
+    assert.equal(profile.counters[1].samples.count[1], Math.round(0.6 / 3600 * 1e12));
+  });
+});
+
+describe('wattmeter-profile command line', () => {
+  it('defaults the output to the recording name', () => {
+    assert.deepEqual(parseArgs(['rec/a.ndjson', '--session', '2', '--from', '10']),
+      { input: 'rec/a.ndjson', output: 'rec/a-session-2.json', session: '2', mode: 'all', from: 10, to: null, merge: null });
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => parseArgs([]), /Usage/);
+    assert.throws(() => parseArgs(['a.ndjson', '--samples', 'some']), /Invalid sample mode/);
+    assert.throws(() => parseArgs(['a.ndjson', '--to']), /Missing value/);
+  });
+});
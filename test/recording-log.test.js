@@ -0,0 +1,166 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordingLog, saveRecordingRange, listRecordings, readRecording, openRecording } = require('../lib/recording-log.js');
+const { SampleStore } = require('../lib/sample-store.js');
+
+before(() => {
+  // Silence the status messages
+  mock.method(console, 'log', () => {});
+});
+
+const HEADER = {
+  startTime: Date.UTC(2026, 0, 2, 3, 4, 5),
+  meters: [{ id: 'dut', label: 'DUT', deviceType: 'mpm1010', deviceName: 'MPM-1010', deviceVersion: null, capabilities: {} }]
+};
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+}
+
+/**
+ * Read a recording log, with the [timeMs, measurement] pairs of each meter id in samples
+ */
+async function readSamples(file) {
+  const samples = {};
+  const result = await readRecording(file, {
+    onSample: (meter, timeMs, measurement) => (samples[meter] = samples[meter] || []).push([timeMs, measurement])
+  });
+  return { ...result, samples };
+}
+
+describe('RecordingLog', () => {
+  it('reads back samples, markers and sessions', async () => {
+    const dir = tempDir();
+    const log = new RecordingLog(dir, HEADER);
+    assert.equal(log.id, '2026-01-02T03-04-05-000Z');
+
+    log.sample('dut', 10, { power: 1.5, voltage: 230, current: null, voltageRange: '500V', fresh: true });
+    log.sample('dut', 20, { power: 1.6, voltage: 231, voltageRange: '150V', fresh: false });
+    log.marker({ meter: 'dut', name: 'Function', timeMs: 15, data: { type: 'function' } });
+    log.session({ id: '1', name: 'Boot', startTime: 5, endTime: null, ranges: { dut: { start: 0, end: null } } });
+    log.session({ id: '1', name: 'Boot', startTime: 5, endTime: 20, ranges: { dut: { start: 0, end: 2 } }, summary: {} });
+    log.session({ id: '2', name: 'Gone', startTime: 20, endTime: null, ranges: { dut: { start: 2, end: null } } });
+    log.deleteSession('2');
+    log.close();
+
+    const { header, samples, sampleCounts, markers, sessions } = await readSamples(log.file);
+    assert.equal(header.id, log.id);
+    assert.deepEqual(sampleCounts, { dut: 2 });
+    assert.deepEqual(header.meters, HEADER.meters);
+    assert.deepEqual(samples.dut, [
+      [10, { power: 1.5, voltage: 230, voltageRange: '500V', fresh: true }],
+      [20, { power: 1.6, voltage: 231, voltageRange: '150V', fresh: false }]
+    ]);
+    assert.equal(markers.length, 1);
+    assert.deepEqual(sessions, [{ id: '1', name: 'Boot', startTime: 5, endTime: 20, ranges: { dut: { start: 0, end: 2 } } }]);
+  });
+
+  it('recovers from a server that did not exit cleanly', async () => {
+    const log = new RecordingLog(tempDir(), HEADER);
+    log.sample('dut', 10, { power: 1 });
+    log.session({ id: '1', name: 'Load', startTime: 10, endTime: null, ranges: { dut: { start: 0, end: null } } });
+    log.sample('dut', 30, { power: 2 });
+    log.close();
+    fs.appendFileSync(log.file, '{"m":"dut","t":40,"pow');
+
+    const { samples, sessions } = await readSamples(log.file);
+    assert.equal(samples.dut.length, 2);
+    assert.equal(sessions[0].endTime, 30);
+    assert.equal(sessions[0].ranges.dut.end, 2);
+  });
+
+  it('keeps the latest line of each marker', async () => {
+    const log = new RecordingLog(tempDir(), HEADER);
+    log.sample('dut', 10, { power: 1 });
+    log.marker({ id: '1', meter: null, name: 'Test', timeMs: 10, endTimeMs: null, data: { type: 'user' } });
+    log.marker({ id: '2', meter: null, name: 'Load', timeMs: 15, endTimeMs: null, data: { type: 'user' } });
+    log.marker({ id: '1', meter: null, name: 'Test', timeMs: 10, endTimeMs: 20, data: { type: 'user' } });
+    log.sample('dut', 30, { power: 2 });
+    log.close();
+
+    const { markers } = await readRecording(log.file);
+    assert.deepEqual(markers.map(marker => [marker.id, marker.endTimeMs]), [['1', 20], ['2', 30]]);
+  });
+
+  it('lists the recordings of a directory, newest first', () => {
+    const dir = tempDir();
+    new RecordingLog(dir, HEADER).close();
+    new RecordingLog(dir, HEADER).close();
+    new RecordingLog(dir, { ...HEADER, startTime: HEADER.startTime + 1000 }).close();
+    fs.writeFileSync(path.join(dir, 'other.ndjson'), '{"type":"capture"}\n');
+
+    const recordings = listRecordings(dir);
+    assert.deepEqual(recordings.map(recording => recording.id),
+      ['2026-01-02T03-04-06-000Z', '2026-01-02T03-04-05-000Z-2', '2026-01-02T03-04-05-000Z']);
+    assert.equal(recordings[0].meters[0].label, 'DUT');
+    assert.deepEqual(listRecordings(path.join(dir, 'missing')), []);
+  });
+
+  it('rejects files that are not recordings', async () => {
+    const file = path.join(tempDir(), 'capture.ndjson');
+    fs.writeFileSync(file, '{"type":"capture","version":1}\n');
+    await assert.rejects(readRecording(file), /Not a recording file/);
+  });
+
+  it('names the line of samples of unknown meters and of invalid lines', async () => {
+    const log = new RecordingLog(tempDir(), HEADER);
+    log.sample('aux', 10, { power: 1 });
+    log.close();
+    await assert.rejects(readRecording(log.file), new RegExp(`Unknown meter aux on line 2 in ${log.file}`));
+
+    const broken = new RecordingLog(tempDir(), HEADER);
+    broken.close();
+    fs.appendFileSync(broken.file, '{"m":"dut",\n{"m":"dut","t":10,"power":1}\n');
+    await assert.rejects(readRecording(broken.file), /Invalid line 2/);
+  });
+});
+
+describe('openRecording', () => {
+  it('appends the samples to spilling stores as they are read', async () => {
+    const log = new RecordingLog(tempDir(), HEADER);
+    // More than a chunk of the SampleStore
+    for (let i = 0; i < 12000; i++) {
+      log.sample('dut', i * 100, { power: i, function: i >= 50 ? 'WATT' : null });
+    }
+    log.session({ id: '1', name: 'Load', startTime: 2000, endTime: null, ranges: { dut: { start: 20, end: null } } });
+    log.close();
+
+    const spillDir = tempDir();
+    const recording = await openRecording(log.file, { spillDir, retentionMs: 1000 });
+    const [channel] = recording.meters;
+    assert.equal(channel.store.length, 12000);
+    assert.ok(fs.readdirSync(path.join(spillDir, 'dut')).length > 0);
+    assert.deepEqual(channel.store.slice(0).power.slice(0, 3), [0, 1, 2]);
+    assert.equal(channel.function, 'WATT');
+    assert.deepEqual(recording.sessions.get('1').ranges.dut, { start: 20, end: 12000 });
+    channel.store.close();
+  });
+});
+
+describe('saveRecordingRange', () => {
+  it('saves the samples and markers of a time range, timed from its start', async () => {
+    const store = new SampleStore();
+    for (let i = 0; i < 10; i++) {
+      store.append(i * 100, { power: i, updateTime: i * 100 - 10 });
+    }
+    const recording = {
+      startTime: HEADER.startTime,
+      meters: [{ ...HEADER.meters[0], store }],
+      markers: [
+        { id: '1', meter: 'dut', name: 'Trigger', timeMs: 400, data: { type: 'trigger', rule: 'power>3' } },
+        { id: '2', meter: null, name: 'Before', timeMs: 50, data: { type: 'user' } }
+      ]
+    };
+
+    const log = saveRecordingRange(tempDir(), recording, { from: 300, to: 600 }, { trigger: { rule: 'power>3' } });
+    const { header, samples, markers } = await readSamples(log.file);
+    assert.equal(header.startTime, HEADER.startTime + 300);
+    assert.deepEqual(header.trigger, { rule: 'power>3' });
+    assert.deepEqual(samples.dut.map(([time, sample]) => [time, sample.power, sample.updateTime]),
+      [[0, 3, -10], [100, 4, 90], [200, 5, 190], [300, 6, 290]]);
+    assert.deepEqual(markers.map(marker => [marker.name, marker.timeMs]), [['Trigger', 100]]);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionList, sessionEnergy } = require('../lib/sessions.js');
+const { SampleStore } = require('../lib/sample-store.js');
+const { integrateEnergy, integratePower, gapThreshold, EnergyCounter } = require('../lib/energy.js');
+
+describe('SessionList', () => {
+  it('records the sample range of each meter', () => {
+    const sessions = new SessionList();
+    const session = sessions.start('idle', { dut: 10, charger: 100 }, 5000);
+    assert.equal(session.name, 'idle');
+    assert.equal(sessions.recording(), session);
+
+    sessions.stop(session.id, { dut: 15, charger: 150 }, 7500);
+    assert.equal(sessions.recording(), null);
+    assert.deepEqual(session.ranges, { dut: { start: 10, end: 15 }, charger: { start: 100, end: 150 } });
+    assert.equal(session.endTime, 7500);
+  });
+
+  it('stops the recording session when starting another one', () => {
+    const sessions = new SessionList();
+    const first = sessions.start('', { dut: 0 }, 0);
+    const second = sessions.start('', { dut: 5 }, 1000);
+
+    assert.equal(first.name, 'Session 1');
+    assert.equal(first.endTime, 1000);
+    assert.deepEqual(first.ranges.dut, { start: 0, end: 5 });
+    assert.equal(sessions.recording(), second);
+  });
+
+  it('rejects stopping unknown or stopped sessions', () => {
+    const sessions = new SessionList();
+    const session = sessions.start('a', { dut: 0 }, 0);
+    sessions.stop(session.id, { dut: 1 }, 10);
+    assert.throws(() => sessions.stop(session.id, { dut: 1 }, 10), /not recording/);
+    assert.throws(() => sessions.stop('42', { dut: 1 }, 10), /Unknown session/);
+  });
+
+  it('deletes sessions', () => {
+    const sessions = new SessionList();
+    const session = sessions.start('a', { dut: 0 }, 0);
+    assert.equal(sessions.delete(session.id), true);
+    assert.equal(sessions.delete(session.id), false);
+    assert.equal(sessions.get(session.id), null);
+  });
+});
+
+describe('sessionEnergy', () => {
+  it('only reads the samples stored since the previous call', () => {
+    const store = new SampleStore();
+    const channel = { id: 'dut', store };
+    store.append(0, { power: 99 });
+    const sessions = new SessionList();
+    const session = sessions.start('load', { dut: 1 }, 50);
+    for (let i = 1; i <= 3; i++) {
+      store.append(i * 100, { power: 10 });
+    }
+    assert.equal(sessionEnergy(session, channel).energyWh, 10 * 0.2 / 3600);
+
+    const slice = store.slice.bind(store);
+    const read = [];
+    store.slice = (start, mode, end) => {
+      read.push([start, end]);
+      return slice(start, mode, end);
+    };
+    store.append(400, { power: 20 });
+    sessions.stop('1', { dut: 5 }, 450);
+    store.append(500, { power: 30 });
+    assert.equal(sessionEnergy(session, channel).energyWh, (10 * 0.2 + 20 * 0.1) / 3600);
+    assert.deepEqual(read, [[4, 5]]);
+  });
+});
+
+describe('integrateEnergy', () => {
+  it('integrates power over uneven intervals', () => {
+    // 10W for 1.8s, then 20W for 1.8s
+    assert.equal(integrateEnergy([0, 1800, 3600], [10, 10, 20]), (10 * 1.8 + 20 * 1.8) / 3600);
+  });
+
+  it('counts power from the previous power sample, skipping samples without power', () => {
+    assert.equal(integrateEnergy([0, 1000, 2000, 3000], [10, null, 20, 10]), (20 * 2 + 10) / 3600);
+    assert.equal(gapThreshold([0, 100, 200, 300, 400, 500], [10, null, 10, null, 10, null]), 1000);
+  });
+
+  it('clips the intervals to a time range', () => {
+    assert.equal(integrateEnergy([0, 1000, 2000], [10, 10, 20], 500, 1500), (10 * 0.5 + 20 * 0.5) / 3600);
+    assert.equal(integrateEnergy([0, 1000], [10, 10], 2000, 3000), 0);
+  });
+
+  it('only counts the regular interval before a sample following a gap', () => {
+    const times = [0, 100, 200, 300, 10300, 10400];
+    const power = [10, 10, 10, 10, 20, 20];
+    assert.equal(gapThreshold(times, power), 500);
+    assert.deepEqual(integratePower(times, power, { maxIntervalMs: 500 }),
+      { energyWh: (10 * 0.3 + 20 * 0.6) / 3600, durationMs: 900, gapCount: 1, gapMs: 9500 });
+  });
+});
+
+describe('EnergyCounter', () => {
+  it('counts samples as they come, like integratePower()', () => {
+    const times = [0, 100, 200, 300, 10300, 10400];
+    const power = [10, 10, 10, 10, 20, 20];
+    const counter = new EnergyCounter();
+    times.forEach((time, i) => counter.add(time, power[i]));
+    counter.add(10500, null);
+    const { energyWh, durationMs } = integratePower(times, power, { maxIntervalMs: gapThreshold(times, power) });
+    assert.deepEqual([counter.energyWh, counter.durationMs], [energyWh, durationMs]);
+  });
+
+  it('takes the gap threshold from the latest intervals', () => {
+    const counter = new EnergyCounter();
+    for (let i = 0; i <= 1000; i++) {
+      counter.add(i * 100, 10);
+    }
+    assert.equal(counter.maxIntervalMs, 500);
+    // Slower samples: the threshold follows once they are the majority
+    for (let i = 1; i <= 501; i++) {
+      counter.add(100000 + i * 1000, 10);
+    }
+    assert.equal(counter.maxIntervalMs, 5000);
+  });
+});
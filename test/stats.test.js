@@ -0,0 +1,132 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeValues, recordingStats, measureBaseline } = require('../lib/stats.js');
+const { SampleStore } = require('../lib/sample-store.js');
+const { SessionList } = require('../lib/sessions.js');
+
+/**
+ * Recording with one meter sampling 1..10 W every 100 ms, then 50 W after a 10 s gap
+ */
+function makeRecording() {
+  const store = new SampleStore();
+  for (let i = 0; i < 10; i++) {
+    store.append(i * 100, { power: i + 1, voltage: 230, current: (i + 1) / 230, powerFactor: 0.5 });
+  }
+  store.append(10900, { power: 50, voltage: 230, current: 50 / 230, powerFactor: 0.9 });
+  const sessions = new SessionList();
+  sessions.start('start', { dut: 0 }, 0);
+  sessions.stop('1', { dut: 5 }, 400);
+  return {
+    startTime: 1000000,
+    meters: [{ id: 'dut', label: 'DUT', store }],
+    markers: [
+      { id: '1', meter: null, name: 'Boot', timeMs: 200, endTimeMs: 500, data: {} },
+      { id: '2', meter: null, name: 'Click', timeMs: 300, data: {} }
+    ],
+    sessions
+  };
+}
+
+describe('describeValues', () => {
+  it('reports nearest rank percentiles', () => {
+    const stats = describeValues([4, null, 1, 3, 2]);
+    assert.deepEqual(stats, { count: 4, min: 1, max: 4, mean: 2.5, median: 3, p5: 1, p25: 2, p75: 4, p95: 4, p99: 4 });
+    assert.equal(describeValues([null]), null);
+  });
+});
+
+describe('recordingStats', () => {
+  it('integrates energy over the covered time only', () => {
+    const { from, to, meters: [stats] } = recordingStats(makeRecording());
+    assert.equal(from, 0);
+    assert.equal(to, null);
+    assert.equal(stats.sample_count, 11);
+    // 2..10 W for 100 ms each, 50 W for the 500 ms gap threshold
+    assert.equal(stats.covered_ms, 1400);
+    assert.equal(stats.gap_count, 1);
+    assert.equal(stats.gap_ms, 9500);
+    assert.equal(stats.energy_wh, (54 * 0.1 + 50 * 0.5) / 3600);
+    assert.equal(stats.average_power_w, 30.4 / 1.4);
+    assert.equal(stats.power.max, 50);
+    assert.equal(stats.power_factor.median, 0.5);
+  });
+
+  it('counts each reading of a multiplexed meter once', () => {
+    // WATT, VAR and PWF readings in turn, each with only its own value
+    const store = new SampleStore();
+    for (let i = 0; i < 9; i++) {
+      const func = ['WATT', 'VAR', 'PWF'][i % 3];
+      store.append(i * 500, {
+        power: func === 'WATT' ? 10 * (i / 3 + 1) : null,
+        reactivePower: func === 'VAR' ? 5 : null,
+        powerFactor: func === 'PWF' ? 0.9 : null,
+        voltage: 230,
+        function: func
+      });
+    }
+    const { meters: [stats] } = recordingStats({ startTime: 0, meters: [{ id: 'dut', store }], markers: [], sessions: new SessionList() });
+    assert.equal(stats.sample_count, 9);
+    assert.deepEqual([stats.power.count, stats.power.mean], [3, 20]);
+    assert.equal(stats.power_factor.count, 3);
+    assert.equal(stats.voltage.count, 9);
+    // 20 W and 30 W for the 1.5 s since the previous power reading each
+    assert.equal(stats.covered_ms, 3000);
+    assert.equal(stats.energy_wh, (20 * 1.5 + 30 * 1.5) / 3600);
+  });
+
+  it('only reads the spilled samples around the range', () => {
+    const store = new SampleStore({ spillDir: fs.mkdtempSync(path.join(os.tmpdir(), 'stats-')), retentionMs: 0, chunkSize: 100 });
+    for (let i = 0; i < 25000; i++) {
+      store.append(i * 100, { power: i % 2 ? 20 : 10 });
+    }
+    const readChunk = mock.method(store, 'readChunk');
+    try {
+      const recording = { startTime: 0, meters: [{ id: 'dut', store }], markers: [], sessions: new SessionList() };
+      const { meters: [stats] } = recordingStats(recording, { from: 1000050, to: 1001050 });
+      // Samples at 1000100..1001000, and the one after for the end of the range
+      assert.equal(stats.sample_count, 10);
+      assert.equal(stats.covered_ms, 1000);
+      assert.equal(stats.energy_wh, (20 * 50 + 10 * 100 * 5 + 20 * 100 * 4 + 20 * 50) / 3600 / 1000);
+      // The page before the range (10000 samples), none of the chunks after it
+      const read = new Set(readChunk.mock.calls.map(call => call.arguments[0].startIndex));
+      assert.deepEqual([read.size, Math.max(...read)], [101, 10000]);
+    } finally {
+      store.close();
+    }
+  });
+
+  it('summarizes a session, an interval marker or a time range', () => {
+    const recording = makeRecording();
+    const session = recordingStats(recording, { session: recording.sessions.get('1') });
+    assert.equal(session.meters[0].sample_count, 5);
+    assert.equal(session.to, 400);
+
+    const marker = recordingStats(recording, { marker: recording.markers[0], from: 100 });
+    assert.deepEqual([marker.from, marker.to], [300, 500]);
+    assert.deepEqual(marker.meters[0].power, describeValues([4, 5, 6]));
+    assert.equal(marker.meters[0].energy_wh, (5 * 0.1 + 6 * 0.1) / 3600);
+
+    assert.throws(() => recordingStats(recording, { marker: recording.markers[1] }), /not an interval/);
+    assert.deepEqual(recordingStats(recording, { meter: 'other' }).meters, []);
+  });
+
+  it('reports net values above the baseline of a session', () => {
+    const recording = makeRecording();
+    const baseline = measureBaseline(recording, { from: 0, to: 400 });
+    // 2..5 W for 100 ms each
+    assert.deepEqual(baseline, { from: 0, to: 400, power: { dut: 3.5 } });
+
+    const session = recording.sessions.setBaseline('1', baseline);
+    const [stats] = recordingStats(recording, { session }).meters;
+    assert.equal(stats.baseline_power_w, 3.5);
+    assert.equal(stats.net_average_power_w, stats.average_power_w - 3.5);
+    assert.equal(stats.net_energy_wh, stats.energy_wh - 3.5 * 0.4 / 3600);
+    assert.equal(stats.net_power.min, -2.5);
+    assert.equal(recordingStats(recording).meters[0].net_energy_wh, null);
+
+    assert.throws(() => measureBaseline(recording, { from: 20000 }), /No power samples/);
+  });
+});
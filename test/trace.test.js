@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { recordingTrace } = require('../lib/trace.js');
+const { recordingNdjson } = require('../lib/ndjson-export.js');
+const { SampleStore } = require('../lib/sample-store.js');
+const { SessionList } = require('../lib/sessions.js');
+
+/**
+ * Recording of two meters: dut sampling every 100 ms, aux every 250 ms without current
+ */
+function makeRecording() {
+  const dut = new SampleStore();
+  for (let i = 0; i < 6; i++) {
+    dut.append(i * 100, { power: 10 + i, voltage: 230, current: 0.05, voltageRange: '500V', updateTime: i * 100 - 20 });
+  }
+  const aux = new SampleStore();
+  for (let i = 0; i < 3; i++) {
+    aux.append(i * 250, { power: 2, voltage: 231, current: null });
+  }
+  return {
+    id: 'rec',
+    startTime: 1000000,
+    meters: [
+      { id: 'dut', label: 'DUT', deviceType: 'isw8001', deviceName: 'ISW8001', deviceVersion: '1.04', capabilities: {}, store: dut, debugTimingEvents: [] },
+      { id: 'aux', label: 'Charger', deviceType: 'mpm1010', deviceName: 'MPM-1010', deviceVersion: null, capabilities: {}, store: aux, debugTimingEvents: [] }
+    ],
+    markers: [
+      { id: '1', meter: 'dut', name: 'Function', timeMs: 250, data: { type: 'function', function: 'WATT' } },
+      { id: '2', meter: null, name: 'Boot', timeMs: 100, endTimeMs: 300, data: { type: 'user' } },
+      { id: '3', meter: null, name: 'Alert', timeMs: 400, endTimeMs: null, data: { type: 'alert' } }
+    ],
+    sessions: new SessionList()
+  };
+}
+
+/**
+ * Read a streamed trace
+ */
+function readTrace(recording, options) {
+  const chunks = recordingTrace(recording, options);
+  return chunks && JSON.parse([...chunks].join(''));
+}
+
+/**
+ * Read the lines of a streamed NDJSON export
+ */
+function readNdjson(recording, options) {
+  return [...recordingNdjson(recording, options)].join('').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('recordingTrace', () => {
+  it('has a process with counter tracks per meter', () => {
+    const trace = readTrace(makeRecording());
+    const names = trace.traceEvents.filter(event => event.name === 'process_name').map(event => [event.pid, event.args.name]);
+    assert.deepEqual(names, [[0, 'Recording'], [1, 'DUT (ISW8001)'], [2, 'Charger (MPM-1010)']]);
+
+    const power = trace.traceEvents.filter(event => event.ph === 'C' && event.name === 'Power' && event.pid === 1);
+    assert.deepEqual(power.map(event => [event.ts, event.args.W]), [[0, 10], [100000, 11], [200000, 12], [300000, 13], [400000, 14], [500000, 15]]);
+    // No current samples: no current counter
+    assert.equal(trace.traceEvents.filter(event => event.name === 'Current' && event.pid === 2).length, 0);
+    assert.deepEqual(trace.otherData, { startTime: new Date(1000000).toISOString(), recording: 'rec', session: null });
+  });
+
+  it('exports markers as instant events and slices', () => {
+    const trace = readTrace(makeRecording(), { from: 200 });
+    const markers = trace.traceEvents.filter(event => ['i', 'X'].includes(event.ph));
+    assert.deepEqual(markers.map(({ name, ph, pid, ts, dur }) => ({ name, ph, pid, ts, dur })), [
+      { name: 'Boot', ph: 'X', pid: 0, ts: -100000, dur: 200000 },
+      // Still running: ends at the last sample
+      { name: 'Alert', ph: 'X', pid: 0, ts: 200000, dur: 100000 },
+      { name: 'Function', ph: 'i', pid: 1, ts: 50000, dur: undefined }
+    ]);
+    assert.deepEqual(markers[2].args, { type: 'function', function: 'WATT' });
+  });
+
+  it('returns null without samples', () => {
+    assert.equal(recordingTrace(makeRecording(), { from: 1000 }), null);
+  });
+
+  it('streams the counters of spilled samples', () => {
+    const store = new SampleStore({ spillDir: fs.mkdtempSync(path.join(os.tmpdir(), 'trace-')), retentionMs: 0, chunkSize: 100 });
+    for (let i = 0; i < 25000; i++) {
+      store.append(i, { power: i % 7, voltage: null, current: null });
+    }
+    const recording = { ...makeRecording(), meters: [{ id: 'dut', label: 'dut', store }], markers: [] };
+    const chunks = [...recordingTrace(recording)];
+    assert.ok(chunks.length > 20);
+    const power = JSON.parse(chunks.join('')).traceEvents.filter(event => event.ph === 'C');
+    assert.equal(power.length, 25000);
+    assert.deepEqual(power.slice(-2).map(event => [event.ts, event.args.W]), [[24998000, 1], [24999000, 2]]);
+    store.close();
+  });
+});
+
+describe('recordingNdjson', () => {
+  it('exports the samples of all meters in time order, with all their fields', () => {
+    const lines = readNdjson(makeRecording(), { from: 200, to: 300 });
+    const [header, ...entries] = lines;
+    assert.deepEqual([header.type, header.recording, header.startTime, header.session, header.sampleMode], ['header', 'rec', 1000200, null, 'all']);
+    assert.deepEqual(header.meters.map(meter => [meter.id, meter.deviceName, meter.baselinePower]), [['dut', 'ISW8001', null], ['aux', 'MPM-1010', null]]);
+
+    assert.deepEqual(entries.map(entry => [entry.type, entry.meter, entry.type === 'sample' ? entry.t : entry.timeMs]), [
+      ['marker', null, -100], // Interval overlapping the range
+      ['sample', 'dut', 0],
+      ['sample', 'aux', 50],
+      ['marker', 'dut', 50],
+      ['sample', 'dut', 100]
+    ]);
+    const first = entries[1];
+    assert.equal(first.time, 1000200);
+    assert.equal(first.power, 12);
+    assert.equal(first.updateTime, -20);
+    assert.equal(first.frequency, null);
+    assert.deepEqual(entries[3].data, { type: 'function', function: 'WATT' });
+  });
+
+  it('merges the meters page by page', () => {
+    const dut = new SampleStore({ spillDir: fs.mkdtempSync(path.join(os.tmpdir(), 'ndjson-')), retentionMs: 0, chunkSize: 100 });
+    const aux = new SampleStore();
+    for (let i = 0; i < 25000; i++) {
+      dut.append(i * 2, { power: 1 });
+      aux.append(i * 3, { power: 2 });
+    }
+    const recording = { ...makeRecording(), meters: [{ id: 'dut', store: dut }, { id: 'aux', store: aux }], markers: [] };
+    const chunks = [...recordingNdjson(recording, { to: 30000 })];
+    assert.ok(chunks.length > 20);
+    const samples = chunks.join('').trim().split('\n').slice(1).map(line => JSON.parse(line));
+    assert.equal(samples.length, 15001 + 10001);
+    assert.ok(samples.every((sample, i) => i === 0 || sample.t >= samples[i - 1].t));
+    assert.deepEqual(samples.slice(0, 3).map(sample => [sample.meter, sample.t]), [['dut', 0], ['aux', 0], ['dut', 2]]);
+    dut.close();
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTriggerRules, describeRule, TriggerMonitor, CaptureWindow } = require('../lib/triggers.js');
+
+describe('parseTriggerRules', () => {
+  it('parses thresholds, meters and range rules', () => {
+    const rules = parseTriggerRules('power>20, dut:pf<0.6,rate>50,charger:range', ['dut', 'charger']);
+    assert.deepEqual(rules.map(rule => [rule.meter, rule.metric, rule.op, rule.threshold]), [
+      [null, 'power', '>', 20],
+      ['dut', 'pf', '<', 0.6],
+      [null, 'rate', '>', 50],
+      ['charger', 'range', null, null]
+    ]);
+    assert.equal(describeRule(rules[0]), 'power > 20 W');
+    assert.equal(describeRule(rules[3]), 'charger: range change');
+    assert.deepEqual(parseTriggerRules('', ['dut']), []);
+  });
+
+  it('rejects invalid rules and unknown meters', () => {
+    assert.throws(() => parseTriggerRules('voltage>250', ['dut']), /Invalid trigger rule/);
+    assert.throws(() => parseTriggerRules('pf>0.5', ['dut']), /pf<PF/);
+    assert.throws(() => parseTriggerRules('aux:power>1', ['dut']), /Unknown meter/);
+  });
+});
+
+describe('TriggerMonitor', () => {
+  it('fires when a condition becomes true', () => {
+    const monitor = new TriggerMonitor(parseTriggerRules('power>10', ['dut']));
+    const fired = [5, 12, 15, null, 11, 8, 20].map((power, i) =>
+      monitor.check('dut', i * 100, { power }).map(({ value }) => value));
+    // Samples of other functions (null power) don't re-arm it
+    assert.deepEqual(fired, [[], [12], [], [], [], [], [20]]);
+  });
+
+  it('fires on fast power changes and power factor drops', () => {
+    const monitor = new TriggerMonitor(parseTriggerRules('rate>50,pf<0.5', ['dut']));
+    assert.deepEqual(monitor.check('dut', 0, { power: 1, powerFactor: 0.9 }), []);
+    // 10 W in 100 ms = 100 W/s
+    const [rate, pf] = monitor.check('dut', 100, { power: 11, powerFactor: 0.4 });
+    assert.equal(rate.value, 100);
+    assert.equal(pf.value, 0.4);
+  });
+
+  it('fires on each range change of its meter', () => {
+    const monitor = new TriggerMonitor(parseTriggerRules('dut:range', ['dut', 'aux']));
+    assert.deepEqual(monitor.check('dut', 0, { power: 1, voltageRange: '500V' }), []);
+    assert.deepEqual(monitor.check('aux', 0, { power: 1, voltageRange: '150V' }), []);
+    assert.deepEqual(monitor.check('dut', 100, { power: 1, voltageRange: '150V' }).map(({ value }) => value), ['150V']);
+    assert.deepEqual(monitor.check('dut', 200, { power: 1, voltageRange: '150V' }), []);
+  });
+});
+
+describe('CaptureWindow', () => {
+  it('extends the window for triggers before its end', () => {
+    const window = new CaptureWindow(1000, 500, 2000);
+    assert.ok(window.add({ timeMs: 1000 }));
+    assert.ok(window.add({ timeMs: 2500 }));
+    assert.deepEqual([window.from, window.to, window.triggers.length], [500, 4500, 2]);
+    assert.equal(window.add({ timeMs: 5000 }), false);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseMeterList } = require('../wattmeter-server.js');
+const { SampleStore } = require('../lib/sample-store.js');
+
+describe('parseMeterList', () => {
+  it('returns null without a list', () => {
+    assert.equal(parseMeterList(undefined), null);
+    assert.equal(parseMeterList('  '), null);
+  });
+
+  it('parses labels, types and paths', () => {
+    assert.deepEqual(parseMeterList('dut=isw8001:/dev/ttyUSB0, charger=MPM1010-sim'), [
+      { id: 'dut', label: 'dut', type: 'isw8001', options: { path: '/dev/ttyUSB0' } },
+      { id: 'charger', label: 'charger', type: 'mpm1010-sim', options: {} }
+    ]);
+  });
+
+  it('derives unique ids from the types', () => {
+    assert.deepEqual(parseMeterList('isw8001-sim,isw8001-sim').map(entry => entry.id),
+      ['isw8001-sim', 'isw8001-sim-2']);
+  });
+
+  it('requires a capture file for replayed meters', () => {
+    assert.throws(() => parseMeterList('charger=replay'), /Missing capture file/);
+  });
+});
+
+describe('SampleStore', () => {
+  it('stores normalized measurements by column', () => {
+    const store = new SampleStore();
+    store.append(0, { power: 1.5, voltage: 230 });
+    store.append(500, { power: 2, voltage: 231, frequency: 50 });
+
+    assert.equal(store.length, 2);
+    const samples = store.slice(1);
+    assert.deepEqual(samples.times, [500]);
+    assert.deepEqual(samples.power, [2]);
+    assert.deepEqual(samples.frequency, [50]);
+    assert.deepEqual(store.slice().current, [null, null]);
+  });
+
+  it('selects fresh samples and their estimated times', () => {
+    const store = new SampleStore();
+    store.append(0, { power: 1, fresh: true, updateTime: null });
+    store.append(50, { power: 1, fresh: false, updateTime: null });
+    store.append(100, { power: 2, fresh: true, updateTime: 75 });
+    store.append(150, { power: 3 });
+
+    assert.deepEqual(store.slice(0, 'all').times, [0, 50, 100, 150]);
+    assert.deepEqual(store.slice(1, 'fresh').times, [100, 150]);
+    assert.deepEqual(store.slice(0, 'estimated').times, [0, 75, 150]);
+    assert.throws(() => store.slice(0, 'some'), /Invalid sample mode/);
+  });
+
+  it('spills samples older than the retention window to disk', () => {
+    const spillDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-')), 'meter');
+    const store = new SampleStore({ spillDir, retentionMs: 1000, chunkSize: 10 });
+    for (let i = 0; i < 100; i++) {
+      store.append(i * 100, { power: i, fresh: i % 2 === 0 });
+    }
+
+    assert.equal(store.length, 100);
+    assert.ok(store.times.length <= 21, `${store.times.length} samples in memory`);
+    assert.equal(fs.readdirSync(spillDir).length, store.chunks.length);
+    assert.deepEqual(store.slice().power, [...Array(100).keys()]);
+    assert.deepEqual(store.slice(15, 'all', 25).times, [...Array(10).keys()].map(i => (i + 15) * 100));
+    assert.deepEqual(store.slice(5, 'fresh', 12).power, [6, 8, 10]);
+    // Spilled and in memory
+    assert.equal(store.indexAt(1450), 15);
+    assert.equal(store.indexAt(9900), 99);
+    assert.equal(store.indexAt(-100), 0);
+    assert.equal(store.indexAt(10000), 100);
+
+    store.close();
+    assert.equal(fs.existsSync(spillDir), false);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseRunArgs, summarize, run } = require('../wattmeter.js');
+const MPM1010 = require('../mpm1010.js');
+
+before(() => {
+  // Silence the drivers' status messages
+  mock.method(console, 'log', () => {});
+});
+
+describe('wattmeter run', () => {
+  it('parses its options and the command', () => {
+    const options = parseRunArgs(['--meter', 'MPM1010', '--output', 'out.json', '--', 'make', '-j', '4']);
+    assert.equal(options.type, 'mpm1010');
+    assert.equal(options.output, 'out.json');
+    assert.equal(options.command, 'make');
+    assert.deepEqual(options.args, ['-j', '4']);
+    assert.match(parseRunArgs(['--', '/usr/bin/make']).output, /^make-.*\.json$/);
+
+    assert.throws(() => parseRunArgs(['make']), /Usage/);
+    assert.throws(() => parseRunArgs(['--']), /Usage/);
+    assert.throws(() => parseRunArgs(['--fast', '--', 'make']), /Unknown option/);
+  });
+
+  it('summarizes the samples covering the command', () => {
+    // Each sample's power counts since the previous sample: 10 W until 500 ms, then 20 W
+    const series = { times: [0, 500, 1000, 1500, 2000], power: [10, 10, 20, 20, 20] };
+    const summary = summarize(series, 250, 1250);
+    assert.equal(summary.durationMs, 1000);
+    assert.equal(summary.sampleCount, 3);
+    assert.equal(summary.peakPower, 20);
+    assert.equal(summary.energyWh, (10 * 0.25 + 20 * 0.75) / 3600);
+    assert.ok(Math.abs(summary.averagePower - 17.5) < 1e-9);
+  });
+
+  it('records a command with start and end markers', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wattmeter-run-'));
+    const output = path.join(dir, 'profile.json');
+    const { exitCode, summary, profile } = await run({
+      type: 'mpm1010-sim',
+      output,
+      summary: path.join(dir, 'summary.json'),
+      command: process.execPath,
+      args: ['-e', 'setTimeout(() => process.exit(3), 300)']
+    });
+
+    assert.equal(exitCode, 3);
+    assert.ok(summary.durationMs >= 300);
+    assert.ok(summary.energyWh > 0);
+    assert.ok(summary.peakPower >= summary.averagePower);
+    assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf8')), profile);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'summary.json'), 'utf8')).exitCode, 3);
+
+    const { markers, stringTable } = profile.threads[0];
+    const names = markers.name.map(index => stringTable._array[index]);
+    const end = markers.data[names.indexOf('Command End')];
+    assert.equal(end.type, 'process');
+    assert.equal(end.exitCode, 3);
+    assert.ok(markers.startTime[names.indexOf('Command End')] > markers.startTime[names.indexOf('Command Start')]);
+  });
+
+  it('closes the serial port when the recording fails', async () => {
+    const identify = mock.method(MPM1010.prototype, 'identify', async () => {
+      throw new Error('No answer');
+    });
+    const disconnect = mock.method(MPM1010.prototype, 'disconnect');
+    try {
+      await assert.rejects(run({ type: 'mpm1010-sim', output: 'unused.json', command: 'true', args: [] }), /No answer/);
+      assert.equal(disconnect.mock.callCount(), 1);
+      assert.equal(disconnect.mock.calls[0].this.port.isOpen, false);
+    } finally {
+      identify.mock.restore();
+      disconnect.mock.restore();
+    }
+  });
+});
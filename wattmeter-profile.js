@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Recording to Firefox Profiler Converter
+ *
+ * Converts a recording saved by the server (see RECORDINGS_DIR) into a
+ * profile file for https://profiler.firefox.com/
+ *
+ * Usage:
+ *   node wattmeter-profile.js <recording.ndjson> [profile.json]   # Default output: recording name with .json
+ *   node wattmeter-profile.js <recording.ndjson> --session 2       # Only the samples of a session
+ *   node wattmeter-profile.js <recording.ndjson> --from 5000 --to 65000
+ *                                                                  # Time range in ms since the start of the recording (or session)
+ *   node wattmeter-profile.js <recording.ndjson> --samples fresh   # Sample mode: all (default), fresh or estimated
+ *   node wattmeter-profile.js <recording.ndjson> --merge firefox.json.gz
+ *                                                                  # Add the power tracks to a Firefox profile recorded meanwhile
+ *                                                                  # Default output: firefox-power.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { openRecording } = require('./lib/recording-log.js');
+const { recordingProfile } = require('./lib/profile.js');
+const { mergeRecording } = require('./lib/profile-merge.js');
+const { SAMPLE_MODES } = require('./lib/sample-store.js');
+
+/**
+ * Parse the command line
+ * @returns {Object} { input, output, session, mode, from, to, merge }
+ */
+function parseArgs(args) {
+  const options = { input: null, output: null, session: null, mode: 'all', from: null, to: null, merge: null };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return args[++i];
+    };
+    const number = () => {
+      const text = value();
+      const parsed = parseFloat(text);
+      if (isNaN(parsed)) {
+        throw new Error(`Invalid ${arg}: ${text}`);
+      }
+      return parsed;
+    };
+
+    if (arg === '--session') {
+      options.session = value();
+    } else if (arg === '--samples') {
+      options.mode = value();
+      if (!SAMPLE_MODES.includes(options.mode)) {
+        throw new Error(`Invalid sample mode: ${options.mode}. Must be one of: ${SAMPLE_MODES.join(', ')}`);
+      }
+    } else if (arg === '--from') {
+      options.from = number();
+    } else if (arg === '--to') {
+      options.to = number();
+    } else if (arg === '--merge') {
+      options.merge = value();
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (positional.length === 0 || positional.length > 2) {
+    throw new Error('Usage: node wattmeter-profile.js <recording.ndjson> [profile.json] [--session <id>] [--from <ms>] [--to <ms>] [--samples <mode>] [--merge <firefox-profile.json>]');
+  }
+  [options.input, options.output] = positional;
+  if (options.merge) {
+    // The Firefox profile sets the time range
+    if (options.session || options.from !== null || options.to !== null) {
+      throw new Error('--merge can\'t be combined with --session, --from or --to');
+    }
+    if (!options.output) {
+      const { dir, name } = path.parse(options.merge.replace(/\.gz$/, ''));
+      options.output = path.join(dir, `${name}-power.json`);
+    }
+  } else if (!options.output) {
+    const { dir, name } = path.parse(options.input);
+    options.output = path.join(dir, `${name}${options.session ? `-session-${options.session}` : ''}.json`);
+  }
+  return options;
+}
+
+/**
+ * Read a profile file, gzipped or not
+ */
+function readProfile(file) {
+  let data = fs.readFileSync(file);
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    data = zlib.gunzipSync(data);
+  }
+  return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Convert a recording file
+ * @returns {Promise<Object>} The profile
+ */
+async function convert({ input, output, session, mode, from, to, merge }) {
+  const recording = await openRecording(input);
+  if (merge) {
+    const profile = mergeRecording(readProfile(merge), recording, { mode });
+    fs.writeFileSync(output, JSON.stringify(profile));
+    return profile;
+  }
+
+  let sessionObject = null;
+  if (session) {
+    sessionObject = recording.sessions.get(session);
+    if (!sessionObject) {
+      throw new Error(`Unknown session: ${session}`);
+    }
+  }
+
+  const profile = recordingProfile(recording, { session: sessionObject, mode, from, to });
+  if (!profile) {
+    throw new Error('No samples in this time range');
+  }
+  fs.writeFileSync(output, JSON.stringify(profile));
+  return profile;
+}
+
+module.exports = { parseArgs, convert };
+
+// Main
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  convert(options).then((profile) => {
+    if (options.merge) {
+      console.log(`✓ Merged profile saved to ${options.output}`);
+    } else {
+      const samples = profile.counters.reduce((total, counter) => total + counter.samples.length, 0);
+      console.log(`✓ Profile saved to ${options.output} (${profile.counters.length} power tracks, ${samples} samples)`);
+    }
+  }).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -3,39 +3,112 @@
 /**
  * Wattmeter Web Server
  *
- * Continuously samples power data from ISW8001 or MPM1010 and serves it via HTTP
+ * Continuously samples power data from one or more ISW8001 or MPM1010 meters
+ * and serves it via HTTP
  *
  * Environment variables:
- *   WATTMETER_TYPE=isw8001 or mpm1010 (default: isw8001)
+ *   WATTMETER_TYPE=isw8001 or mpm1010, see drivers.js (default: isw8001)
+ *   WATTMETERS - sample several meters, see parseMeterList() (overrides WATTMETER_TYPE)
  *   PORT=2122 (default: 2122)
  *   ISW8001_PORT or MPM1010_PORT - serial port path
+ *   ISW8001_FUNCTIONS - ISW8001 functions to cycle through, e.g. WATT,VAR,PWF
+ *   CAPTURE_FILE - record raw serial traffic to this file (one file per meter: name-<id>.ext)
+ *   REPLAY_FILE - replay a capture file instead of using a device
+ *   REPLAY_SPEED=1 - replay speed factor, or "max" for as fast as possible
+ *   SAMPLE_MODE=all - default samples of /data: all, fresh or estimated, see SAMPLE_MODES
+ *   RETENTION_SECONDS=3600 - samples kept in memory, older ones are spilled to disk
+ *   SPILL_DIR - directory for spilled samples (default: a temporary directory, "none" to keep everything in memory)
+ *   DEBUG_TIMING_LIMIT=100000 - number of debug timing events kept per meter
+ *   RECORDINGS_DIR - directory of the recording logs, see lib/recording-log.js (default: recordings, "none" to disable)
+ *   RECORD_CONTINUOUS=1 - 0 to only save the trigger captures, not the whole recording
+ *   TRIGGERS - trigger rules saving the samples around them as recordings, see lib/triggers.js
+ *   TRIGGER_PRE_SECONDS=10, TRIGGER_POST_SECONDS=10 - time saved before and after a trigger
+ *   ALERTS - threshold alert rules, see lib/alerts.js
+ *   ALERT_WEBHOOK - URL alerts are posted to as JSON
+ *   INFLUX_URL - line protocol write URL the measurements are streamed to, see lib/influx.js
+ *   INFLUX_TOKEN - API token of INFLUX_URL
+ *   INFLUX_MEASUREMENT=wattmeter - measurement name of the lines
+ *   INFLUX_TAGS - extra tags, comma separated [meter:]key=value entries
+ *   INFLUX_BATCH_SIZE=1000, INFLUX_FLUSH_SECONDS=1 - lines per request, and longest wait for a batch
+ *   INFLUX_BACKLOG_DIR - lines waiting for INFLUX_URL while it is down (default: influx-backlog)
+ *   INFLUX_BACKLOG_MB=100 - oldest lines of the backlog are dropped beyond this size
  */
 
 const http = require('http');
 const url = require('url');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const ISW8001 = require('./isw8001.js');
-const MPM1010 = require('./mpm1010.js');
+const { Readable, pipeline } = require('stream');
+const { createMeter } = require('./drivers.js');
+const { readCaptureHeader } = require('./capture.js');
+const { SampleStore, SAMPLE_MODES } = require('./lib/sample-store.js');
+const { SessionList, sessionRange, sessionEnergy, timeRange, inTimeRange } = require('./lib/sessions.js');
+const { RecordingLog, meterHeaders, saveRecordingRange, listRecordings, openRecording } = require('./lib/recording-log.js');
+const { EventStream } = require('./lib/event-stream.js');
+const { recordingProfile } = require('./lib/profile.js');
+const { recordingTrace } = require('./lib/trace.js');
+const { recordingNdjson } = require('./lib/ndjson-export.js');
+const { mergeRecording } = require('./lib/profile-merge.js');
+const { recordingStats, baselinePower, measureBaseline } = require('./lib/stats.js');
+const { parseTriggerRules, describeRule, TriggerMonitor, CaptureWindow } = require('./lib/triggers.js');
+const { parseAlertRules, describeAlertRule, AlertMonitor, sendWebhook } = require('./lib/alerts.js');
+const { parseTags, meterTags, formatLine, InfluxWriter } = require('./lib/influx.js');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, MeterMetrics, formatOpenMetrics, meterFamilies } = require('./lib/metrics.js');
+const clock = require('./lib/clock.js');
 
 const PORT = process.env.PORT || 2122;
-const WATTMETER_TYPE = (process.env.WATTMETER_TYPE || 'isw8001').toLowerCase();
+const CAPTURE_FILE = process.env.CAPTURE_FILE;
+const REPLAY_FILE = process.env.REPLAY_FILE;
+const REPLAY_SPEED = process.env.REPLAY_SPEED === 'max' ? Infinity : parseFloat(process.env.REPLAY_SPEED || '1');
+const SAMPLE_MODE = (process.env.SAMPLE_MODE || 'all').toLowerCase();
+const RETENTION_SECONDS = parseFloat(process.env.RETENTION_SECONDS || '3600');
+const SPILL_DIR = process.env.SPILL_DIR === 'none' ? null
+  : path.join(process.env.SPILL_DIR || os.tmpdir(), `wattmeter-${process.pid}`);
+const DEBUG_TIMING_LIMIT = parseInt(process.env.DEBUG_TIMING_LIMIT || '100000');
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR === 'none' ? null
+  : path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'));
+const RECORD_CONTINUOUS = process.env.RECORD_CONTINUOUS !== '0';
+const TRIGGER_PRE_SECONDS = parseFloat(process.env.TRIGGER_PRE_SECONDS || '10');
+const TRIGGER_POST_SECONDS = parseFloat(process.env.TRIGGER_POST_SECONDS || '10');
+// Delay before saving a trigger capture after its post-trigger window, for its last samples to arrive
+const CAPTURE_DELAY_MS = 1000;
+const ALERT_WEBHOOK = process.env.ALERT_WEBHOOK || null;
+const INFLUX_URL = process.env.INFLUX_URL || null;
+const INFLUX_MEASUREMENT = process.env.INFLUX_MEASUREMENT || 'wattmeter';
+const INFLUX_BACKLOG_DIR = path.resolve(process.env.INFLUX_BACKLOG_DIR || path.join(__dirname, 'influx-backlog'));
+// Maximum number of samples per /data response, continue from next_index for more
+const MAX_DATA_SAMPLES = 100000;
+// Maximum number of samples per /stream event
+const STREAM_PAGE_SAMPLES = 10000;
+// When replaying, default to the driver the capture was recorded with
+const WATTMETER_TYPE = (process.env.WATTMETER_TYPE ||
+  (REPLAY_FILE ? readCaptureHeader(REPLAY_FILE).driver : 'isw8001')).toLowerCase();
 
 // Global state
-let meter = null;
-let samples = [];
-let sampleTimes = [];
-let voltageData = [];
-let currentData = [];
-let powerFactorData = [];
-let frequencyData = [];
-let voltageRangeData = [];
-let currentRangeData = [];
-let debugTimingEvents = []; // For debugging timing analysis
-let startTime = null;
-let deviceName = null;
-let deviceVersion = null;
-let deviceType = WATTMETER_TYPE;
+// The recording being made. Past recordings read from RECORDINGS_DIR have the
+// same fields, see loadRecording().
+const live = {
+  id: null,
+  startTime: null, // Epoch time in ms all times are relative to, shared by all meters so their series line up
+  meters: [], // One entry per sampled meter, see createChannel()
+  markers: [], // Events worth showing in the profile, see addMarker()
+  sessions: new SessionList(), // Named parts of the recording
+  log: null, // RecordingLog, null without RECORDINGS_DIR
+  readers: 0, // Responses still streaming the samples, see holdRecording()
+  dropped: false // Whether the samples are deleted once the readers are done, see dropRecording()
+};
+let loaded = null; // Past recording last browsed, only one is kept in memory
+let loading = null; // { id, promise } of the past recording being read
+let loadCount = 0; // Past recordings read so far, numbering their spill directories
+let triggers = null; // TriggerMonitor, null without TRIGGERS
+let captureWindow = null; // CaptureWindow of the triggers waiting for their post-trigger window
+let captureTimer = null;
+let alerts = null; // AlertMonitor, null without ALERTS
+const alertMarkers = new Map(); // Interval marker of each alert id
+let influx = null; // InfluxWriter, null without INFLUX_URL
+let influxTags = []; // Extra tags of INFLUX_TAGS, see parseTags()
+const streams = new Set(); // Clients of /stream, see flushStream()
 
 function sendJSON(res, obj) {
   const json = JSON.stringify(obj);
@@ -47,6 +120,26 @@ function sendJSON(res, obj) {
   res.end(json);
 }
 
+/**
+ * Send a response generated chunk by chunk (e.g. an export of a long
+ * recording), as fast as the client reads it
+ * @param {Iterator<string>} chunks
+ * @param {Object} recording - Recording the chunks read the samples of
+ */
+function sendStream(res, contentType, chunks, recording) {
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*'
+  });
+  holdRecording(recording);
+  pipeline(Readable.from(chunks), res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Failed to send the response:', error.message);
+    }
+    releaseRecording(recording);
+  });
+}
+
 function sendError(res, message) {
   console.error(message);
   res.writeHead(400, {
@@ -57,102 +150,410 @@ function sendError(res, message) {
 }
 
 /**
- * Start continuous sampling
+ * Parse a list of meters
+ * Format: comma separated [label=]type[:path] entries, e.g.
+ *   dut=isw8001:/dev/tty.usbserial-110,charger=mpm1010:/dev/tty.usbserial-120
+ * The type "replay" takes a capture file as path: charger=replay:charger.ndjson
+ * @returns {Array|null} [{ id, label, type, options }], or null if spec is empty
  */
-async function startSampling() {
-  console.log(`Starting ${deviceType.toUpperCase()} sampling...`);
+function parseMeterList(spec) {
+  if (!spec || !spec.trim()) {
+    return null;
+  }
+
+  const usedIds = new Set();
+  return spec.split(',').map((entry, index) => {
+    entry = entry.trim();
+    let label = null;
+    const equals = entry.indexOf('=');
+    if (equals >= 0) {
+      label = entry.slice(0, equals).trim();
+      entry = entry.slice(equals + 1).trim();
+    }
+
+    const colon = entry.indexOf(':');
+    let type = (colon >= 0 ? entry.slice(0, colon) : entry).toLowerCase();
+    const meterPath = colon >= 0 ? entry.slice(colon + 1) : null;
+    const options = {};
+    if (type === 'replay') {
+      if (!meterPath) {
+        throw new Error(`Missing capture file for meter ${label || index + 1}`);
+      }
+      type = readCaptureHeader(meterPath).driver;
+      options.replay = meterPath;
+    } else if (meterPath) {
+      options.path = meterPath;
+    }
+
+    let id = (label || type).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `meter${index + 1}`;
+    if (usedIds.has(id)) {
+      id += `-${index + 1}`;
+    }
+    usedIds.add(id);
+
+    return { id, label, type, options };
+  });
+}
+
+/**
+ * Get the list of meters to sample from the environment
+ */
+function meterListFromEnv() {
+  const list = parseMeterList(process.env.WATTMETERS) ||
+    [{ id: 'meter', label: null, type: WATTMETER_TYPE, options: REPLAY_FILE ? { replay: REPLAY_FILE } : {} }];
+
+  for (const entry of list) {
+    if (entry.options.replay) {
+      entry.options.replaySpeed = REPLAY_SPEED;
+    }
+    if (CAPTURE_FILE) {
+      // One capture file per meter when there are several
+      const { dir, name, ext } = path.parse(CAPTURE_FILE);
+      entry.options.capture = list.length > 1 ? path.join(dir, `${name}-${entry.id}${ext}`) : CAPTURE_FILE;
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Create the state of one sampled meter
+ */
+function createChannel({ id, label, type, options }) {
+  const meter = createMeter(type, options);
+  return {
+    id,
+    label,
+    deviceType: type,
+    deviceName: null,
+    deviceVersion: null,
+    capabilities: meter.capabilities,
+    meter, // null in past recordings
+    store: new SampleStore({
+      spillDir: SPILL_DIR ? path.join(SPILL_DIR, id) : null,
+      retentionMs: RETENTION_SECONDS * 1000
+    }),
+    function: null, // Active measurement function (meters with function selection)
+    status: { state: 'connecting', message: null }, // See setStatus()
+    metrics: new MeterMetrics(), // Totals for /metrics
+    debugTimingEvents: [] // For debugging timing analysis
+  };
+}
+
+/**
+ * Update the device status of a live meter
+ * @param {Object} channel
+ * @param {string} state - connecting, streaming, error, disconnected or ended (replay complete)
+ * @param {string} message - Details, e.g. the error message (optional)
+ */
+function setStatus(channel, state, message = null) {
+  channel.status = { state, message };
+  for (const client of streams) {
+    if (client.recording === live) {
+      client.stream.send('status', { meter: channel.id, ...channel.status });
+    }
+  }
+}
+
+/**
+ * Record a marker
+ * @param {Object} channel - Meter the marker relates to, null for the whole recording
+ * @param {string} name - Marker name, e.g. 'Function'
+ * @param {Object} data - Marker payload, data.type is the profile marker schema name
+ * @param {number} timeMs - Time since the start time
+ * @param {number} endTimeMs - End of an interval marker, null while it lasts (omit for instant markers)
+ * @returns {Object} The marker
+ */
+function addMarker(channel, name, data, timeMs, endTimeMs) {
+  const marker = { id: String(live.markers.length + 1), meter: channel ? channel.id : null, name, timeMs, data };
+  if (endTimeMs !== undefined) {
+    marker.endTimeMs = endTimeMs;
+  }
+  live.markers.push(marker);
+  if (live.log) {
+    live.log.marker(marker);
+  }
+  notifyStreams();
+  return marker;
+}
+
+/**
+ * End an interval marker
+ * Stream clients that already got the marker get it again.
+ * @param {Object} marker
+ * @param {number} endTimeMs - Time since the start time
+ */
+function endMarker(marker, endTimeMs) {
+  marker.endTimeMs = endTimeMs;
+  if (live.log) {
+    live.log.marker(marker);
+  }
+  const index = live.markers.indexOf(marker);
+  for (const client of streams) {
+    if (client.recording === live && client.cursor.markers > index) {
+      const [updated] = inTimeRange([marker], timeRange(client.session));
+      if (updated) {
+        client.stream.send('marker', updated);
+      }
+    }
+  }
+}
+
+/**
+ * Record a trigger, and capture the samples around it
+ * @param {Object} channel - Meter whose sample fired the trigger
+ * @param {Object} rule - See parseTriggerRules()
+ * @param {number|string} value - Value that crossed the threshold, or the new range
+ * @param {number} timeMs - Time since the start time
+ */
+function fireTrigger(channel, rule, value, timeMs) {
+  console.log(`✓ Trigger [${channel.id}] ${describeRule(rule)}: ${typeof value === 'number' ? value.toFixed(3) : value}`);
+  addMarker(channel, 'Trigger', { type: 'trigger', rule: rule.rule, value }, timeMs);
 
-  // Create appropriate meter instance
-  if (deviceType === 'mpm1010') {
-    meter = new MPM1010();
-  } else if (deviceType === 'isw8001') {
-    meter = new ISW8001();
+  const trigger = { timeMs, rule: rule.rule, meter: channel.id, value };
+  if (!captureWindow || !captureWindow.add(trigger)) {
+    if (captureWindow) {
+      saveCapture();
+    }
+    captureWindow = new CaptureWindow(timeMs, TRIGGER_PRE_SECONDS * 1000, TRIGGER_POST_SECONDS * 1000);
+    captureWindow.add(trigger);
+  }
+  clearTimeout(captureTimer);
+  captureTimer = setTimeout(saveCapture, Math.max(0, captureWindow.to - currentTime()) + CAPTURE_DELAY_MS);
+}
+
+/**
+ * Save the samples of the capture window as a recording
+ */
+function saveCapture() {
+  clearTimeout(captureTimer);
+  captureTimer = null;
+  const window = captureWindow;
+  captureWindow = null;
+
+  const [first] = window.triggers;
+  try {
+    const log = saveRecordingRange(RECORDINGS_DIR, live, window, {
+      trigger: {
+        rule: first.rule,
+        meter: first.meter,
+        value: first.value,
+        time: clock.absolute(live.startTime, first.timeMs),
+        count: window.triggers.length
+      },
+      source: live.id
+    });
+    console.log(`✓ Trigger capture ${log.id}: ${window.triggers.length} trigger(s)`);
+  } catch (error) {
+    console.error('Failed to save the trigger capture:', error.message);
+  }
+}
+
+/**
+ * Describe an alert for /alerts and the webhook
+ */
+function alertInfo(alert) {
+  return {
+    id: alert.id,
+    rule: alert.rule,
+    description: alert.description,
+    meter: alert.meter,
+    metric: alert.metric,
+    threshold: alert.threshold,
+    value: alert.value,
+    peak: alert.peak,
+    active: alert.endTimeMs === null,
+    start_time: clock.absolute(live.startTime, alert.startTimeMs),
+    time: clock.absolute(live.startTime, alert.timeMs),
+    end_time: alert.endTimeMs !== null ? clock.absolute(live.startTime, alert.endTimeMs) : null,
+    end_value: alert.endValue
+  };
+}
+
+/**
+ * Record an alert being raised or resolved as an interval marker, and post it to the webhook
+ * @param {Object} channel - Meter whose sample raised or resolved the alert
+ * @param {string} event - "alert" or "resolved"
+ * @param {Object} alert - See AlertMonitor
+ */
+function handleAlert(channel, event, alert) {
+  if (event === 'alert') {
+    console.log(`⚠ Alert ${alert.id} [${channel.id}] ${alert.description}: ${alert.value}`);
+    alertMarkers.set(alert.id, addMarker(channel, 'Alert',
+      { type: 'alert', rule: alert.rule, value: alert.value, peak: alert.peak }, alert.startTimeMs, null));
   } else {
-    console.error(`Unknown wattmeter type: ${deviceType}`);
-    console.error('Set WATTMETER_TYPE to "isw8001" or "mpm1010"');
+    console.log(`✓ Alert ${alert.id} [${channel.id}] resolved: ${alert.endValue}`);
+    const marker = alertMarkers.get(alert.id);
+    marker.data.peak = alert.peak;
+    endMarker(marker, alert.endTimeMs);
+    alertMarkers.delete(alert.id);
+  }
+
+  if (ALERT_WEBHOOK) {
+    sendWebhook(ALERT_WEBHOOK, { event, recording: live.id, alert: alertInfo(alert) }).catch((error) => {
+      console.error(`Failed to post alert ${alert.id} to the webhook:`, error.message);
+    });
+  }
+}
+
+/**
+ * Connect to a meter and identify it
+ */
+async function connectChannel(channel) {
+  await channel.meter.connect();
+
+  // Get device info
+  ({ name: channel.deviceName, version: channel.deviceVersion } = await channel.meter.identify());
+  channel.label = channel.label || channel.deviceName;
+  console.log(`Device (${channel.id}):`, channel.deviceName);
+  if (channel.deviceVersion) {
+    console.log('Version:', channel.deviceVersion);
+  }
+}
+
+/**
+ * Record a meter's events and start streaming
+ */
+async function startChannel(channel) {
+  const { meter, store } = channel;
+
+  meter.port.on('error', (error) => setStatus(channel, 'error', error.message));
+  meter.port.on('close', () => setStatus(channel, 'disconnected'));
+  meter.port.on('replay-end', () => setStatus(channel, 'ended', 'Replay complete'));
+
+  // Listen for debug timing events
+  if (meter.capabilities.debugTiming) {
+    meter.on('debug-timing', (event) => {
+      const timeMs = clock.since(live.startTime, event.timestamp);
+      channel.debugTimingEvents.push({
+        type: event.type,
+        timeMs: timeMs,
+        bytes: event.bytes, // for data-received events
+        data: event.data // hex string of received data
+      });
+
+      // Drop the oldest events, in batches to avoid shifting the array every time
+      if (channel.debugTimingEvents.length > DEBUG_TIMING_LIMIT * 1.1) {
+        channel.debugTimingEvents.splice(0, channel.debugTimingEvents.length - DEBUG_TIMING_LIMIT);
+      }
+    });
+  }
+
+  // Listen for normalized measurement events
+  // Samples of other functions than power keep a null power, so they are
+  // never integrated into energy
+  meter.on('measurement', (measurement) => {
+    const timeMs = clock.since(live.startTime, measurement.timestamp);
+    const sample = {
+      ...measurement,
+      updateTime: typeof measurement.updateTime === 'number' ? clock.since(live.startTime, measurement.updateTime) : null
+    };
+    store.append(timeMs, sample);
+    channel.metrics.add(timeMs, sample);
+    if (influx) {
+      const line = formatLine(INFLUX_MEASUREMENT, meterTags(channel, influxTags), measurement);
+      if (line) {
+        influx.write(line);
+      }
+    }
+    if (live.log) {
+      live.log.sample(channel.id, timeMs, sample);
+    }
+    if (triggers) {
+      for (const { rule, value } of triggers.check(channel.id, timeMs, sample)) {
+        fireTrigger(channel, rule, value, timeMs);
+      }
+    }
+    if (alerts) {
+      for (const { event, alert } of alerts.check(channel.id, timeMs, sample)) {
+        handleAlert(channel, event, alert);
+      }
+    }
+
+    // Record function changes (front panel or POST /function), but not the
+    // function cycling of multiplexed meters
+    if (measurement.function && measurement.function !== channel.function) {
+      if (channel.function && !meter.multiplexInfo()) {
+        console.log(`[${channel.id}] Function changed from ${channel.function} to ${measurement.function}`);
+        addMarker(channel, 'Function', { type: 'function', function: measurement.function, from: channel.function }, timeMs);
+      }
+      channel.function = measurement.function;
+    }
+
+    notifyStreams();
+
+    // Log every 100 samples
+    if (store.length % 100 === 0) {
+      const latest = measurement.power !== null ? `${measurement.power.toFixed(2)}W` : `${measurement.value} ${measurement.unit}`;
+      console.log(`[${channel.id}] Samples: ${store.length}, Latest: ${latest}, Δt: ${(timeMs - store.times.at(-2)).toFixed(1)}ms`);
+    }
+  });
+
+  // Enable automatic measurement mode
+  await meter.startStreaming();
+  setStatus(channel, 'streaming');
+}
+
+/**
+ * Start continuous sampling of all meters
+ */
+async function startSampling() {
+  if (!SAMPLE_MODES.includes(SAMPLE_MODE)) {
+    console.error(`Invalid SAMPLE_MODE: ${SAMPLE_MODE}. Must be one of: ${SAMPLE_MODES.join(', ')}`);
     process.exit(1);
   }
 
-  try {
-    await meter.connect();
+  const list = meterListFromEnv();
+  console.log(`Starting ${list.map(entry => entry.type.toUpperCase()).join(', ')} sampling...`);
 
-    // Get device info
-    if (deviceType === 'isw8001') {
-      ({ name: deviceName, version: deviceVersion } = await meter.identify());
-      console.log('Device:', deviceName);
-      if (deviceVersion) {
-        console.log('Version:', deviceVersion);
+  try {
+    live.meters = list.map(createChannel);
+    const rules = parseTriggerRules(process.env.TRIGGERS, live.meters.map(channel => channel.id));
+    if (rules.length > 0) {
+      if (!RECORDINGS_DIR) {
+        throw new Error('TRIGGERS needs a RECORDINGS_DIR to save the captures to');
       }
-    } else {
-      deviceName = 'MPM-1010';
-      deviceVersion = null;
-      console.log('Device: MPM-1010');
-    }
-
-    // Initialize timing
-    startTime = Date.now();
-
-    // Listen for debug timing events (MPM1010 only)
-    if (deviceType === 'mpm1010') {
-      meter.on('debug-timing', (event) => {
-        const timeMs = event.timestamp - startTime;
-        debugTimingEvents.push({
-          type: event.type,
-          timeMs: timeMs,
-          bytes: event.bytes, // for data-received events
-          data: event.data // hex string of received data
-        });
+      triggers = new TriggerMonitor(rules);
+      console.log(`✓ Triggers: ${rules.map(describeRule).join(', ')}`);
+    }
+    const alertRules = parseAlertRules(process.env.ALERTS, live.meters.map(channel => channel.id));
+    if (alertRules.length > 0) {
+      alerts = new AlertMonitor(alertRules);
+      console.log(`✓ Alerts: ${alertRules.map(describeAlertRule).join(', ')}${ALERT_WEBHOOK ? '' : ' (no ALERT_WEBHOOK)'}`);
+    }
+    influxTags = parseTags(process.env.INFLUX_TAGS, live.meters.map(channel => channel.id));
+    if (INFLUX_URL) {
+      influx = new InfluxWriter({
+        url: INFLUX_URL,
+        token: process.env.INFLUX_TOKEN || null,
+        backlogDir: INFLUX_BACKLOG_DIR,
+        batchSize: parseInt(process.env.INFLUX_BATCH_SIZE || '1000'),
+        flushIntervalMs: parseFloat(process.env.INFLUX_FLUSH_SECONDS || '1') * 1000,
+        maxBacklogBytes: parseFloat(process.env.INFLUX_BACKLOG_MB || '100') * 1024 * 1024
       });
+      const backlog = influx.backlog.reduce((sum, entry) => sum + entry.lines, 0);
+      console.log(`✓ Streaming to ${INFLUX_URL}${backlog > 0 ? ` (${backlog} lines in the backlog)` : ''}`);
     }
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 
-    // Listen for measurement events
-    meter.on('measurement', (parsed) => {
-      const timeMs = Date.now() - startTime;
-
-      if (deviceType === 'isw8001') {
-        // ISW8001 format: { type, value, unit, voltage, current, voltageRange, currentRange }
-        if (parsed.value !== undefined && typeof parsed.value === 'number') {
-          samples.push(parsed.value);
-          sampleTimes.push(timeMs);
-          voltageData.push(parsed.voltage !== undefined ? parsed.voltage : null);
-          currentData.push(parsed.current !== undefined ? parsed.current : null);
-          powerFactorData.push(null); // ISW8001 doesn't provide PF
-          frequencyData.push(null); // ISW8001 doesn't provide frequency
-          voltageRangeData.push(parsed.voltageRange || null);
-          currentRangeData.push(parsed.currentRange || null);
-
-          // Log every 100 samples
-          if (samples.length % 100 === 0) {
-            console.log(`Samples: ${samples.length}, Latest: ${parsed.value} ${parsed.unit}, Δt: ${(timeMs - sampleTimes.at(-2)).toFixed(1)}ms`);
-          }
-        }
-      } else {
-        // MPM1010 format: { voltage, current, power, powerFactor, frequency }
-        if (parsed.power !== undefined && typeof parsed.power === 'number') {
-          samples.push(parsed.power);
-          sampleTimes.push(timeMs);
-          voltageData.push(parsed.voltage !== undefined ? parsed.voltage : null);
-          currentData.push(parsed.current !== undefined ? parsed.current : null);
-          powerFactorData.push(parsed.powerFactor !== undefined ? parsed.powerFactor : null);
-          frequencyData.push(parsed.frequency !== undefined ? parsed.frequency : null);
-          voltageRangeData.push(null); // MPM1010 doesn't have configurable ranges
-          currentRangeData.push(null);
-
-          // Log every 100 samples
-          if (samples.length % 100 === 0) {
-            console.log(`Samples: ${samples.length}, Latest: ${parsed.power.toFixed(2)}W, Δt: ${(timeMs - sampleTimes.at(-2)).toFixed(1)}ms`);
-          }
-        }
-      }
-    });
+  try {
+    await Promise.all(live.meters.map(connectChannel));
 
-    // Enable automatic measurement mode
-    if (deviceType === 'isw8001') {
-      await meter.enableAutoMode(); // ISW8001: MA1 command
-    } else {
-      await meter.enableAutoMode(50); // MPM1010: 50ms minimum interval to test internal sampling rate
+    // Initialize timing (recorded in captures so replays use the same origin)
+    const startTimes = live.meters.map(channel => channel.meter.markTime('start'));
+    live.startTime = startTimes[0];
+
+    if (RECORDINGS_DIR && RECORD_CONTINUOUS) {
+      live.log = new RecordingLog(RECORDINGS_DIR, { startTime: live.startTime, meters: meterHeaders(live.meters) });
+      live.id = live.log.id;
+      console.log(`✓ Recording to ${live.log.file}`);
     }
 
+    await Promise.all(live.meters.map(startChannel));
+
     console.log('✓ Sampling started');
 
   } catch (error) {
@@ -161,99 +562,941 @@ async function startSampling() {
   }
 }
 
+/**
+ * Load a past recording from RECORDINGS_DIR
+ * The previously loaded one is dropped. Requests arriving while a recording
+ * is read wait for the same read.
+ * @returns {Promise<Object>} The recording
+ */
+function loadRecording(id) {
+  if (loaded && loaded.id === id) {
+    return Promise.resolve(loaded);
+  }
+  if (loading && loading.id === id) {
+    return loading.promise;
+  }
+  const entry = listRecordings(RECORDINGS_DIR).find(recording => recording.id === id);
+  if (!entry) {
+    throw new Error(`Unknown recording: ${id}`);
+  }
+  const promise = readPastRecording(entry);
+  loading = { id, promise };
+  return promise;
+}
+
+/**
+ * Read a recording listed by listRecordings() and make it the loaded one
+ */
+async function readPastRecording(entry) {
+  try {
+    const recording = await openRecording(entry.file, {
+      // Numbered: a dropped copy of the same recording may still be read, see dropRecording()
+      spillDir: SPILL_DIR ? path.join(SPILL_DIR, `recording-${entry.id}-${++loadCount}`) : null,
+      retentionMs: RETENTION_SECONDS * 1000
+    });
+    recording.log = null;
+    recording.readers = 0;
+    recording.dropped = false;
+    for (const channel of recording.meters) {
+      channel.meter = null;
+      channel.status = { state: 'recorded', message: null };
+    }
+
+    if (loaded) {
+      dropRecording(loaded);
+    }
+    loaded = recording;
+    console.log(`✓ Loaded recording ${entry.id}`);
+    return recording;
+  } finally {
+    if (loading && loading.id === entry.id) {
+      loading = null;
+    }
+  }
+}
+
+/**
+ * Find the recording named by a query parameter (default: the live one)
+ * @returns {Object|Promise<Object>} The live recording, or the loaded one
+ */
+function findRecording(id) {
+  if (!id || id === live.id) {
+    return live;
+  }
+  if (!RECORDINGS_DIR) {
+    throw new Error('Recordings are disabled');
+  }
+  return loadRecording(id);
+}
+
+/**
+ * Find a meter of a recording by id (default: the first one)
+ */
+function findChannel(id, recording = live) {
+  if (!id) {
+    return recording.meters[0] || null;
+  }
+  return recording.meters.find(channel => channel.id === id) || null;
+}
+
+/**
+ * Current time since the start time, on the meters' clock
+ */
+function currentTime() {
+  return clock.since(live.startTime, live.meters[0].meter.now());
+}
+
+/**
+ * Current number of samples by meter id
+ */
+function sampleCounts() {
+  const counts = {};
+  for (const channel of live.meters) {
+    counts[channel.id] = channel.store.length;
+  }
+  return counts;
+}
+
+/**
+ * Find the session of a recording named by a query parameter
+ * @returns {Object|null} The session, or null without a session parameter
+ */
+function findSession(id, recording = live) {
+  if (!id) {
+    return null;
+  }
+  const session = recording.sessions.get(id);
+  if (!session) {
+    throw new Error(`Unknown session: ${id}`);
+  }
+  return session;
+}
+
+/**
+ * Describe a session for /sessions
+ * Stopped sessions don't change anymore, so their summary is computed once.
+ */
+function sessionInfo(session, recording = live) {
+  if (session.summary) {
+    return session.summary;
+  }
+
+  const endTime = session.endTime !== null ? session.endTime : currentTime();
+  const info = {
+    id: session.id,
+    name: session.name,
+    recording: session.endTime === null,
+    start_time: clock.absolute(recording.startTime, session.startTime),
+    duration_ms: clock.since(session.startTime, endTime),
+    sample_count: 0,
+    energy_wh: 0,
+    baseline: session.baseline,
+    net_energy_wh: null, // Above the baseline
+    meters: []
+  };
+  for (const channel of recording.meters) {
+    const { start, end } = sessionRange(session, channel);
+    const { energyWh, durationMs } = sessionEnergy(session, channel);
+    const baseline = baselinePower(session.baseline, channel.id);
+    const netEnergy = baseline !== null ? energyWh - baseline * durationMs / 3600 / 1000 : null;
+    info.meters.push({ id: channel.id, sample_count: end - start, energy_wh: energyWh, net_energy_wh: netEnergy });
+    info.sample_count += end - start;
+    info.energy_wh += energyWh;
+    if (netEnergy !== null) {
+      info.net_energy_wh += netEnergy;
+    }
+  }
+
+  if (!info.recording) {
+    session.summary = info;
+  }
+  return info;
+}
+
+/**
+ * Describe a meter for /info
+ */
+function channelInfo(channel) {
+  return {
+    id: channel.id,
+    label: channel.label,
+    device_type: channel.deviceType,
+    device_name: channel.deviceName,
+    device_version: channel.deviceVersion,
+    has_range_control: channel.capabilities.rangeControl,
+    capabilities: channel.capabilities,
+    function: channel.function,
+    multiplex: channel.meter ? channel.meter.multiplexInfo() : null,
+    status: channel.status
+  };
+}
+
+/**
+ * Get the samples of a meter with indexes in [startIndex, endIndex), as
+ * returned by /data and /stream
+ * With a session, sample times are relative to its start, and net power is
+ * above its baseline (null without baseline).
+ * @param {string} mode - One of SAMPLE_MODES
+ */
+function dataPage(recording, channel, session, startIndex, endIndex, mode) {
+  const origin = timeRange(session).origin;
+  const series = channel.store.slice(startIndex, mode, endIndex);
+  const baseline = session ? baselinePower(session.baseline, channel.id) : null;
+  return {
+    meter: channel.id,
+    session: session ? session.id : null,
+    start_time: clock.absolute(recording.startTime, origin),
+    samples: mode,
+    start_index: startIndex,
+    next_index: endIndex,
+    sample_count: session ? sessionRange(session, channel).end : channel.store.length,
+    power_values: series.power,
+    baseline_power: baseline,
+    net_power_values: baseline !== null ? series.power.map(power => power !== null ? power - baseline : null) : null,
+    voltage_values: series.voltage,
+    current_values: series.current,
+    power_factor_values: series.powerFactor,
+    frequency_values: series.frequency,
+    reactive_power_values: series.reactivePower,
+    apparent_power_values: series.apparentPower,
+    voltage_ranges: series.voltageRange,
+    current_ranges: series.currentRange,
+    functions: series.function,
+    units: series.unit,
+    fresh: series.fresh,
+    latencies: series.latency,
+    sample_times: origin ? series.times.map(time => clock.since(origin, time)) : series.times,
+    timestamps: series.times.map(time => clock.absolute(recording.startTime, time))
+  };
+}
+
+/**
+ * Get the sample mode of a request (samples parameter, default: SAMPLE_MODE)
+ */
+function sampleMode(query) {
+  const mode = query.samples || SAMPLE_MODE;
+  if (!SAMPLE_MODES.includes(mode)) {
+    throw new Error(`Invalid sample mode: ${mode}. Must be one of: ${SAMPLE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Get the from and to parameters of a request (ms, null when missing)
+ */
+function timeParams(query) {
+  return ['from', 'to'].map((name) => {
+    if (query[name] === undefined) {
+      return null;
+    }
+    const value = parseFloat(query[name]);
+    if (isNaN(value)) {
+      throw new Error(`Invalid ${name}: ${query[name]}`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Get a sample index parameter of a request
+ * @returns {number|null} The index, null when missing
+ */
+function indexParam(query, name) {
+  if (query[name] === undefined) {
+    return null;
+  }
+  if (!/^\d+$/.test(query[name])) {
+    throw new Error(`Invalid ${name}: ${query[name]}. Must be a sample index (integer, 0 or more)`);
+  }
+  return parseInt(query[name]);
+}
+
+/**
+ * Parse a /stream resume cursor (the id of the last received event)
+ * @returns {Object} { samples, markers } where samples has the next sample index of each meter id
+ */
+function parseCursor(text) {
+  if (!text) {
+    return { samples: {}, markers: 0 };
+  }
+  let cursor;
+  try {
+    cursor = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid cursor: ${text}`);
+  }
+  if (typeof cursor !== 'object' || cursor === null) {
+    throw new Error(`Invalid cursor: ${text}`);
+  }
+  return { samples: cursor.samples || {}, markers: cursor.markers || 0 };
+}
+
+/**
+ * Send a /stream client everything it hasn't received yet
+ * Sample pages carry the cursor to resume from as event id. Streams of past
+ * recordings and stopped sessions end once everything was sent.
+ */
+function flushStream(client) {
+  const { stream, recording, session, mode, cursor } = client;
+  if (client.waiting || stream.closed) {
+    return;
+  }
+  const wait = () => {
+    client.waiting = true;
+    stream.once('drain', () => {
+      client.waiting = false;
+      flushStream(client);
+    });
+  };
+
+  for (const channel of recording.meters) {
+    const { start, end } = session ? sessionRange(session, channel) : { start: 0, end: channel.store.length };
+    let index = Math.max(cursor.samples[channel.id] || 0, start);
+    while (index < end) {
+      const next = Math.min(index + STREAM_PAGE_SAMPLES, end);
+      const page = dataPage(recording, channel, session, index, next, mode);
+      cursor.samples[channel.id] = index = next;
+      if (page.sample_times.length === 0) {
+        continue;
+      }
+
+      // Range changes are part of the samples, but also announced on their own
+      let ranges = client.ranges[channel.id] || { voltage_range: null, current_range: null };
+      for (let i = 0; i < page.sample_times.length; i++) {
+        if (page.voltage_ranges[i] !== ranges.voltage_range || page.current_ranges[i] !== ranges.current_range) {
+          ranges = { voltage_range: page.voltage_ranges[i], current_range: page.current_ranges[i] };
+          stream.send('range', { meter: channel.id, time_ms: page.sample_times[i], ...ranges });
+        }
+      }
+      client.ranges[channel.id] = ranges;
+
+      if (!stream.send('samples', page, JSON.stringify(cursor))) {
+        wait();
+        return;
+      }
+    }
+  }
+
+  const range = timeRange(session);
+  while (cursor.markers < recording.markers.length) {
+    const [marker] = inTimeRange([recording.markers[cursor.markers++]], range);
+    if (marker && !stream.send('marker', marker, JSON.stringify(cursor))) {
+      wait();
+      return;
+    }
+  }
+
+  if (recording !== live || (session && session.endTime !== null)) {
+    stream.send('end', {});
+    stream.close();
+  }
+}
+
+/**
+ * Send new samples and markers to the /stream clients
+ */
+function notifyStreams() {
+  for (const client of streams) {
+    if (client.session && !client.recording.sessions.get(client.session.id)) {
+      // Deleted session
+      client.stream.send('end', {});
+      client.stream.close();
+    } else {
+      flushStream(client);
+    }
+  }
+}
+
+/**
+ * Describe a recording log for /recordings
+ */
+function recordingInfo(entry) {
+  return {
+    id: entry.id,
+    live: entry.id === live.id,
+    start_time: entry.startTime,
+    size_bytes: entry.size,
+    meters: entry.meters.map(meter => ({ id: meter.id, label: meter.label, device_name: meter.deviceName })),
+    trigger: entry.trigger || null // First trigger of a capture, see saveCapture()
+  };
+}
+
+/**
+ * Read a JSON request body
+ */
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        resolve(body.trim() ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON: ${error.message}`));
+      }
+    });
+  });
+}
 
 /**
  * HTTP request handler
  */
-const app = (req, res) => {
+const app = async (req, res) => {
   console.log(new Date(), req.url);
+  const { pathname, query } = url.parse(req.url, true);
+
+  // Past recordings are read-only, the recording parameter of the endpoints
+  // below selects one (default: the live recording)
+  let recording;
+  try {
+    recording = await findRecording(query.recording);
+  } catch (error) {
+    sendError(res, error.message);
+    return;
+  }
 
-  // /info endpoint for device information
-  if (req.url === "/info") {
+  // /info?recording=<id> endpoint for device information
+  // Top level fields describe the first meter, "meters" lists all of them
+  if (pathname === "/info") {
+    const primary = recording.meters[0];
     sendJSON(res, {
-      device_type: deviceType,
-      device_name: deviceName,
-      device_version: deviceVersion,
-      has_range_control: deviceType === 'isw8001'
+      ...(primary ? channelInfo(primary) : {}),
+      meters: recording.meters.map(channelInfo),
+      sample_mode: SAMPLE_MODE,
+      recording: recording.id,
+      live: recording === live
     });
     return;
   }
 
-  // /range endpoint to set range mode or specific ranges (ISW8001 only)
-  if (req.url === "/range" && req.method === "POST") {
-    if (deviceType !== 'isw8001') {
-      sendError(res, 'Range control not supported on MPM1010');
+  // /recordings endpoint listing the recording logs of RECORDINGS_DIR, newest first
+  if (pathname === "/recordings") {
+    sendJSON(res, { recordings: RECORDINGS_DIR ? listRecordings(RECORDINGS_DIR).map(recordingInfo) : [] });
+    return;
+  }
+
+  // /triggers endpoint listing the trigger rules, the capture in progress and the saved captures
+  if (pathname === "/triggers") {
+    sendJSON(res, {
+      rules: triggers ? triggers.rules.map(rule => ({ rule: rule.rule, meter: rule.meter, description: describeRule(rule) })) : [],
+      pre_seconds: TRIGGER_PRE_SECONDS,
+      post_seconds: TRIGGER_POST_SECONDS,
+      capturing: captureWindow ? { from: captureWindow.from, to: captureWindow.to, triggers: captureWindow.triggers } : null,
+      captures: RECORDINGS_DIR ? listRecordings(RECORDINGS_DIR).filter(entry => entry.trigger).map(recordingInfo) : []
+    });
+    return;
+  }
+
+  // /alerts endpoint listing the alert rules, and the active and past alerts of the live recording
+  if (pathname === "/alerts") {
+    sendJSON(res, {
+      rules: alerts ? alerts.rules.map(rule => ({ rule: rule.rule, meter: rule.meter, description: describeAlertRule(rule) })) : [],
+      webhook: ALERT_WEBHOOK !== null,
+      active: alerts ? alerts.active().map(alertInfo) : [],
+      past: alerts ? alerts.past().map(alertInfo) : []
+    });
+    return;
+  }
+
+  // /metrics endpoint exposing the live meters to Prometheus, in the OpenMetrics text format
+  if (pathname === "/metrics") {
+    const text = formatOpenMetrics(meterFamilies(live.meters, live.startTime));
+    res.writeHead(200, {
+      'Content-Type': METRICS_CONTENT_TYPE,
+      'Content-Length': Buffer.byteLength(text),
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(text);
+    return;
+  }
+
+  // /range endpoint to set range mode or specific ranges (meters with range control)
+  // Body: { value, meter } where meter is a meter id (default: first meter with range control)
+  if (pathname === "/range" && req.method === "POST") {
+    readJSON(req).then(async (data) => {
+      const channel = data.meter ? findChannel(data.meter)
+        : live.meters.find(candidate => candidate.capabilities.rangeControl);
+      if (!channel) {
+        throw new Error(data.meter ? `Unknown meter: ${data.meter}` : 'No meter with range control');
+      }
+      const { meter } = channel;
+      if (!meter.capabilities.rangeControl) {
+        throw new Error(`Range control not supported on ${channel.deviceName}`);
+      }
+
+      const value = data.value.toLowerCase();
+
+      if (value === 'auto') {
+        await meter.enableAutoRange();
+      } else if (value === 'manual') {
+        await meter.disableAutoRange();
+      } else if (value.startsWith('u')) {
+        const range = parseInt(value.substring(1));
+        await meter.setVoltageRange(range);
+      } else if (value.startsWith('i')) {
+        const range = parseInt(value.substring(1));
+        await meter.setCurrentRange(range);
+      } else {
+        throw new Error(`Invalid range value: ${data.value}`);
+      }
+
+      sendJSON(res, { success: true });
+    }).catch((error) => {
+      sendError(res, error.message);
+    });
+    return;
+  }
+
+  // /function endpoint to select the measurement function (meters with function selection)
+  // Body: { value, meter } where value is WATT, VAR, VOLT, AMP or PWF
+  if (pathname === "/function" && req.method === "POST") {
+    readJSON(req).then(async (data) => {
+      const channel = data.meter ? findChannel(data.meter)
+        : live.meters.find(candidate => candidate.capabilities.functionSelect);
+      if (!channel) {
+        throw new Error(data.meter ? `Unknown meter: ${data.meter}` : 'No meter with function selection');
+      }
+      const { meter } = channel;
+      if (!meter.capabilities.functionSelect) {
+        throw new Error(`Function selection not supported on ${channel.deviceName}`);
+      }
+      if (meter.multiplexInfo()) {
+        throw new Error(`Function multiplexing is enabled on ${channel.deviceName}`);
+      }
+      if (typeof data.value !== 'string') {
+        throw new Error('Missing function value');
+      }
+
+      // The marker is recorded once samples of the new function arrive
+      await meter.setFunction(data.value);
+
+      sendJSON(res, { success: true });
+    }).catch((error) => {
+      sendError(res, error.message);
+    });
+    return;
+  }
+
+  // /sessions endpoints
+  //   GET /sessions?recording=<id>: list sessions with duration, sample count and energy
+  //   POST /sessions: start a session, body: { name }
+  //   GET /sessions/<id>?recording=<id>: describe a session
+  //   POST /sessions/<id>/stop: stop recording a session
+  //   DELETE /sessions/<id>: delete a session
+  // Use the session parameter of /data, /markers and /debug-timing to get its samples.
+  if ((pathname === "/sessions" || pathname.startsWith("/sessions/")) && req.method !== "GET" && recording !== live) {
+    sendError(res, `Recording ${recording.id} is read-only`);
+    return;
+  }
+
+  if (pathname === "/sessions") {
+    if (req.method === "POST") {
+      readJSON(req).then((data) => {
+        const previous = live.sessions.recording();
+        const session = live.sessions.start(data.name, sampleCounts(), currentTime());
+        console.log(`✓ Session ${session.id} started: ${session.name}`);
+        logSessions(previous, session);
+        sendJSON(res, sessionInfo(session));
+      }).catch((error) => {
+        sendError(res, error.message);
+      });
       return;
     }
+    sendJSON(res, { sessions: recording.sessions.sessions.map(session => sessionInfo(session, recording)) });
+    return;
+  }
 
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', async () => {
+  // /sessions/<id>/baseline endpoint to measure the idle power subtracted for net power
+  // Body: { from, to } in ms since the start of the session (default: the
+  // whole session), or { duration } for its last duration ms; { session }
+  // measures over another session instead, e.g. an idle one. DELETE clears it.
+  const baselinePath = pathname.match(/^\/sessions\/([^/]+)\/baseline$/);
+  if (baselinePath) {
+    const [, id] = baselinePath;
+    if (req.method === "DELETE") {
       try {
-        const data = JSON.parse(body);
-        const value = data.value.toLowerCase();
-
-        if (value === 'auto') {
-          await meter.enableAutoRange();
-        } else if (value === 'manual') {
-          await meter.disableAutoRange();
-        } else if (value.startsWith('u')) {
-          const range = parseInt(value.substring(1));
-          await meter.setVoltageRange(range);
-        } else if (value.startsWith('i')) {
-          const range = parseInt(value.substring(1));
-          await meter.setCurrentRange(range);
-        } else {
-          throw new Error(`Invalid range value: ${data.value}`);
+        const session = live.sessions.setBaseline(id, null);
+        delete session.summary;
+        console.log(`✓ Session ${session.id} baseline cleared`);
+        logSessions(session);
+        sendJSON(res, sessionInfo(session));
+      } catch (error) {
+        sendError(res, error.message);
+      }
+      return;
+    }
+    if (req.method !== "POST") {
+      sendError(res, 'Use POST to set a baseline');
+      return;
+    }
+    readJSON(req).then((data) => {
+      const session = live.sessions.get(id);
+      if (!session) {
+        throw new Error(`Unknown session: ${id}`);
+      }
+      const window = data.session ? findSession(String(data.session)) : session;
+      let from = data.from !== undefined ? data.from : null;
+      let to = data.to !== undefined ? data.to : null;
+      for (const [name, value] of [['from', from], ['to', to], ['duration', data.duration]]) {
+        if (value !== null && value !== undefined && (typeof value !== 'number' || value < 0)) {
+          throw new Error(`Invalid ${name}: ${value}`);
         }
+      }
+      if (data.duration !== undefined) {
+        const end = to !== null ? to : clock.since(window.startTime, window.endTime !== null ? window.endTime : currentTime());
+        from = Math.max(0, end - data.duration);
+      }
 
+      const baseline = measureBaseline(live, { session: window, mode: SAMPLE_MODE, from, to });
+      if (baseline.to === null) {
+        baseline.to = currentTime();
+      }
+      live.sessions.setBaseline(id, baseline);
+      delete session.summary;
+      console.log(`✓ Session ${session.id} baseline: ${Object.entries(baseline.power)
+        .map(([meter, power]) => `${meter} ${power !== null ? power.toFixed(3) : '-'} W`).join(', ')}`);
+      logSessions(session);
+      sendJSON(res, sessionInfo(session));
+    }).catch((error) => {
+      sendError(res, error.message);
+    });
+    return;
+  }
+
+  const sessionPath = pathname.match(/^\/sessions\/([^/]+)(\/stop)?$/);
+  if (sessionPath) {
+    const [, id, stop] = sessionPath;
+    try {
+      if (stop && req.method === "POST") {
+        const session = live.sessions.stop(id, sampleCounts(), currentTime());
+        console.log(`✓ Session ${session.id} stopped: ${session.name}`);
+        logSessions(session);
+        notifyStreams();
+        sendJSON(res, sessionInfo(session));
+      } else if (stop) {
+        sendError(res, 'Use POST to stop a session');
+      } else if (req.method === "DELETE") {
+        if (!live.sessions.delete(id)) {
+          throw new Error(`Unknown session: ${id}`);
+        }
+        if (live.log) {
+          live.log.deleteSession(id);
+        }
+        notifyStreams();
         sendJSON(res, { success: true });
-      } catch (error) {
-        sendError(res, error.message);
+      } else {
+        sendJSON(res, sessionInfo(findSession(id, recording), recording));
       }
+    } catch (error) {
+      sendError(res, error.message);
+    }
+    return;
+  }
+
+  // /marker endpoint to annotate the live recording, e.g. from test scripts or the page under test
+  // Body: { name, data, meter, time } for an instant marker
+  //       { name, data, meter, start, end } for an interval marker, end is optional while it lasts
+  //       { name, data, meter, interval: true } to start an interval marker now
+  //       { id, end } to end an interval marker (end defaults to now)
+  // Times are epoch ms (default: now), data is free-form (without a type key),
+  // meter relates the marker to one meter (default: all meters).
+  // Returns { success, marker } with the marker as listed by /markers.
+  if (pathname === "/marker" && req.method === "OPTIONS") {
+    // CORS preflight of pages under test posting JSON
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST',
+      'Access-Control-Allow-Headers': 'Content-Type'
     });
+    res.end();
     return;
   }
+  if (pathname === "/marker" && req.method === "POST") {
+    readJSON(req).then((body) => {
+      if (recording !== live) {
+        throw new Error(`Recording ${recording.id} is read-only`);
+      }
+      const time = (name) => {
+        const value = body[name];
+        if (value === undefined || value === null) {
+          return currentTime();
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+          throw new Error(`Invalid ${name}: must be epoch ms`);
+        }
+        return clock.since(live.startTime, value);
+      };
+
+      if (body.id !== undefined) {
+        const marker = live.markers.find(candidate => candidate.id === String(body.id));
+        if (!marker || marker.data.type !== 'user' || marker.endTimeMs !== null) {
+          throw new Error(`No running interval marker: ${body.id}`);
+        }
+        const endTimeMs = time('end');
+        if (endTimeMs < marker.timeMs) {
+          throw new Error('Interval marker ends before its start');
+        }
+        endMarker(marker, endTimeMs);
+        console.log(`✓ Marker ended: ${marker.name}`);
+        sendJSON(res, { success: true, marker });
+        return;
+      }
 
-  // /debug-timing endpoint for debugging serial communication timing
-  if (req.url === "/debug-timing") {
+      if (typeof body.name !== 'string' || !body.name.trim()) {
+        throw new Error('Missing marker name');
+      }
+      if (body.data !== undefined && (typeof body.data !== 'object' || body.data === null || Array.isArray(body.data))) {
+        throw new Error('Marker data must be an object');
+      }
+      if (body.data && 'type' in body.data) {
+        throw new Error('Marker data can\'t have a type key');
+      }
+      const channel = body.meter ? findChannel(body.meter) : null;
+      if (body.meter && !channel) {
+        throw new Error(`Unknown meter: ${body.meter}`);
+      }
+
+      const data = { type: 'user', ...body.data };
+      let marker;
+      if (body.interval || body.start !== undefined) {
+        const timeMs = time('start');
+        const endTimeMs = body.end !== undefined && body.end !== null ? time('end') : null;
+        if (endTimeMs !== null && endTimeMs < timeMs) {
+          throw new Error('Interval marker ends before its start');
+        }
+        marker = addMarker(channel, body.name.trim(), data, timeMs, endTimeMs);
+      } else {
+        marker = addMarker(channel, body.name.trim(), data, time('time'));
+      }
+      console.log(`✓ Marker added: ${marker.name}`);
+      sendJSON(res, { success: true, marker });
+    }).catch((error) => {
+      sendError(res, error.message);
+    });
+    return;
+  }
+
+  // /markers?meter=<id>&session=<id>&recording=<id> endpoint listing recorded markers (default: all meters)
+  // With a session, only its markers are listed, timed from the session start.
+  if (pathname === "/markers") {
+    let range;
+    try {
+      range = timeRange(findSession(query.session, recording));
+    } catch (error) {
+      sendError(res, error.message);
+      return;
+    }
     sendJSON(res, {
-      events: debugTimingEvents
+      markers: inTimeRange(recording.markers.filter(marker => !query.meter || marker.meter === query.meter), range)
     });
     return;
   }
 
-  // /data endpoint for web UI
-  if (req.url.startsWith("/data")) {
-    if (samples.length === 0) {
+  // /debug-timing?meter=<id>&session=<id>&recording=<id> endpoint for debugging serial communication timing
+  // Debug timing events are not saved: past recordings have none.
+  if (pathname === "/debug-timing") {
+    const channel = findChannel(query.meter, recording);
+    if (!channel) {
+      sendError(res, `Unknown meter: ${query.meter}`);
+      return;
+    }
+    let session;
+    try {
+      session = findSession(query.session, recording);
+    } catch (error) {
+      sendError(res, error.message);
+      return;
+    }
+    sendJSON(res, {
+      meter: channel.id,
+      events: session ? inTimeRange(channel.debugTimingEvents, timeRange(session)) : channel.debugTimingEvents
+    });
+    return;
+  }
+
+  // /data?meter=<id>&start=<index>&samples=<mode>&limit=<count>&session=<id>&recording=<id> endpoint for web UI (default: first meter)
+  // samples is one of SAMPLE_MODES (default: SAMPLE_MODE). At most limit
+  // indexes (default and maximum: MAX_DATA_SAMPLES) are covered, and except
+  // for "all" fewer samples are returned: continue from next_index until it
+  // reaches sample_count. Spilled samples are read back from disk.
+  // With a session, only its samples are returned, timed from the session
+  // start. start_time is the epoch time sample times are relative to, and
+  // timestamps has the epoch time of each sample (ms, microsecond resolution),
+  // latencies the serial delay subtracted from the arrival time of each sample.
+  // Sessions with a baseline also get baseline_power and net_power_values.
+  if (pathname === "/data") {
+    const channel = findChannel(query.meter, recording);
+    if (!channel) {
+      sendError(res, `Unknown meter: ${query.meter}`);
+      return;
+    }
+
+    let session;
+    let start;
+    let mode;
+    try {
+      session = findSession(query.session, recording);
+      start = indexParam(query, 'start');
+      mode = sampleMode(query);
+    } catch (error) {
+      sendError(res, error.message);
+      return;
+    }
+    const range = session ? sessionRange(session, channel) : { start: 0, end: channel.store.length };
+
+    const startIndex = start !== null ? Math.max(range.start, start) : range.start;
+    const limit = Math.min(Math.max(1, parseInt(query.limit) || MAX_DATA_SAMPLES), MAX_DATA_SAMPLES);
+    const nextIndex = Math.max(startIndex, Math.min(startIndex + limit, range.end));
+    try {
+      sendJSON(res, dataPage(recording, channel, session, startIndex, nextIndex, mode));
+    } catch (error) {
+      sendError(res, error.message);
+    }
+    return;
+  }
+
+  // /profile?samples=<mode>&session=<id>&recording=<id>&from=<ms>&to=<ms> endpoint
+  // Firefox Profiler profile of all meters, see lib/profile.js. from and to
+  // are in ms since the start of the recording or session (default: everything).
+  if (pathname === "/profile") {
+    try {
+      const mode = sampleMode(query);
+      const [from, to] = timeParams(query);
+      const profile = recordingProfile(recording, { session: findSession(query.session, recording), mode, from, to });
+      if (!profile) {
+        throw new Error('No samples in this time range');
+      }
+      sendJSON(res, profile);
+    } catch (error) {
+      sendError(res, error.message);
+    }
+    return;
+  }
+
+  // /trace?samples=<mode>&session=<id>&recording=<id>&from=<ms>&to=<ms> endpoint
+  // Chrome Trace Event file of all meters for Perfetto, see lib/trace.js.
+  // Same parameters as /profile.
+  if (pathname === "/trace") {
+    try {
+      const mode = sampleMode(query);
+      const [from, to] = timeParams(query);
+      const trace = recordingTrace(recording, { session: findSession(query.session, recording), mode, from, to });
+      if (!trace) {
+        throw new Error('No samples in this time range');
+      }
+      sendStream(res, 'application/json', trace, recording);
+    } catch (error) {
+      sendError(res, error.message);
+    }
+    return;
+  }
+
+  // /ndjson?samples=<mode>&session=<id>&recording=<id>&from=<ms>&to=<ms> endpoint
+  // Samples of all meters with all their fields, and the markers, one JSON
+  // object per line, see lib/ndjson-export.js. Same parameters as /profile.
+  if (pathname === "/ndjson") {
+    try {
+      const mode = sampleMode(query);
+      const [from, to] = timeParams(query);
+      const lines = recordingNdjson(recording, { session: findSession(query.session, recording), mode, from, to });
+      if (!lines) {
+        throw new Error('No samples in this time range');
+      }
+      sendStream(res, 'application/x-ndjson', lines, recording);
+    } catch (error) {
+      sendError(res, error.message);
+    }
+    return;
+  }
+
+  // /stats?meter=<id>&samples=<mode>&session=<id>&marker=<id>&recording=<id>&from=<ms>&to=<ms> endpoint
+  // Statistics of each meter (default: all meters) over a time range, see
+  // lib/stats.js: min, max, mean, median and percentiles of power, voltage,
+  // current and power factor, and energy. from and to are in ms since the
+  // start of the recording, session or interval marker (default: everything).
+  if (pathname === "/stats") {
+    try {
+      if (query.meter && !findChannel(query.meter, recording)) {
+        throw new Error(`Unknown meter: ${query.meter}`);
+      }
+      if (query.session && query.marker) {
+        throw new Error("session and marker can't be combined");
+      }
+      let marker = null;
+      if (query.marker) {
+        marker = recording.markers.find(candidate => candidate.id === query.marker);
+        if (!marker) {
+          throw new Error(`Unknown marker: ${query.marker}`);
+        }
+      }
+      const mode = sampleMode(query);
+      const [from, to] = timeParams(query);
+      const session = findSession(query.session, recording);
       sendJSON(res, {
-        start_index: 0,
-        power_values: [],
-        voltage_values: [],
-        current_values: [],
-        power_factor_values: [],
-        frequency_values: [],
-        voltage_ranges: [],
-        current_ranges: [],
-        sample_times: []
+        session: session ? session.id : null,
+        marker: marker ? marker.id : null,
+        sample_mode: mode,
+        ...recordingStats(recording, { session, marker, mode, from, to, meter: query.meter || null })
       });
-      return;
+    } catch (error) {
+      sendError(res, error.message);
     }
+    return;
+  }
 
-    const query = url.parse(req.url, true).query;
-    const startIndex = query.start ? Math.max(0, parseInt(query.start)) : 0;
+  // /profile/merge?samples=<mode>&recording=<id> endpoint adding the power tracks to a Firefox profile
+  // Body: a Firefox profile (Gecko or processed format) recorded meanwhile,
+  // returns it with the samples and markers of its time range, see lib/profile-merge.js.
+  if (pathname === "/profile/merge" && req.method === "POST") {
+    readJSON(req).then((target) => {
+      sendJSON(res, mergeRecording(target, recording, { mode: sampleMode(query) }));
+    }).catch((error) => {
+      sendError(res, error.message);
+    });
+    return;
+  }
 
-    sendJSON(res, {
-      start_index: startIndex,
-      power_values: samples.slice(startIndex),
-      voltage_values: voltageData.slice(startIndex),
-      current_values: currentData.slice(startIndex),
-      power_factor_values: powerFactorData.slice(startIndex),
-      frequency_values: frequencyData.slice(startIndex),
-      voltage_ranges: voltageRangeData.slice(startIndex),
-      current_ranges: currentRangeData.slice(startIndex),
-      sample_times: sampleTimes.slice(startIndex)
+  // /stream?samples=<mode>&session=<id>&recording=<id>&cursor=<cursor> Server-Sent Events endpoint
+  // Pushes the samples of all meters as they arrive, from the start of the
+  // recording or session. Events:
+  //   samples: a page of samples, in the /data format
+  //   range: { meter, time_ms, voltage_range, current_range } when the ranges change
+  //   marker: a marker, as listed by /markers
+  //   status: { meter, state, message } device status of a live meter, see setStatus()
+  //   end: everything was sent (past recordings and stopped sessions)
+  // The id of samples and marker events is a cursor: reconnecting clients
+  // send it back as Last-Event-ID (or the cursor parameter) and only get what
+  // they missed.
+  if (pathname === "/stream") {
+    let client;
+    try {
+      const mode = sampleMode(query);
+      client = {
+        recording,
+        session: findSession(query.session, recording),
+        mode,
+        cursor: parseCursor(req.headers['last-event-id'] || query.cursor),
+        ranges: {}, // Last announced ranges by meter id
+        waiting: false
+      };
+    } catch (error) {
+      sendError(res, error.message);
+      return;
+    }
+
+    client.stream = new EventStream(res);
+    streams.add(client);
+    holdRecording(recording);
+    client.stream.on('close', () => {
+      streams.delete(client);
+      releaseRecording(recording);
     });
+    if (recording === live) {
+      for (const channel of live.meters) {
+        client.stream.send('status', { meter: channel.id, ...channel.status });
+      }
+    }
+    flushStream(client);
     return;
   }
 
@@ -275,6 +1518,52 @@ const app = (req, res) => {
   res.end('Not found');
 };
 
+/**
+ * Log sessions of the live recording that started or stopped
+ */
+function logSessions(...sessions) {
+  if (live.log) {
+    for (const session of sessions.filter(Boolean)) {
+      live.log.session(session);
+    }
+  }
+}
+
+/**
+ * Delete the spilled samples of a recording
+ */
+function closeStores(recording) {
+  for (const channel of recording.meters) {
+    channel.store.close();
+  }
+}
+
+/**
+ * Keep the samples of a recording while a response streams them, until
+ * releaseRecording(), even if another recording is loaded meanwhile
+ */
+function holdRecording(recording) {
+  recording.readers++;
+}
+
+function releaseRecording(recording) {
+  recording.readers--;
+  if (recording.dropped && recording.readers === 0) {
+    closeStores(recording);
+  }
+}
+
+/**
+ * Drop a loaded recording, deleting its spilled samples once the responses
+ * still streaming them are done
+ */
+function dropRecording(recording) {
+  recording.dropped = true;
+  if (recording.readers === 0) {
+    closeStores(recording);
+  }
+}
+
 /**
  * Start the HTTP server
  */
@@ -285,16 +1574,44 @@ async function runServer() {
   });
 
   // Handle shutdown
-  process.on('SIGINT', async () => {
+  const shutdown = async () => {
     console.log('\n\nShutting down...');
-    if (meter) {
-      await meter.disconnect();
+    for (const client of streams) {
+      client.stream.close();
+    }
+    await Promise.all(live.meters.map(channel => channel.meter.disconnect()));
+
+    // Close the session being recorded, so it ends with the last sample
+    const session = live.sessions.recording();
+    if (session) {
+      logSessions(live.sessions.stop(session.id, sampleCounts(), currentTime()));
+    }
+    if (live.log) {
+      live.log.close();
+    }
+    if (captureWindow) {
+      saveCapture();
+    }
+    if (influx) {
+      await influx.close();
+    }
+
+    closeStores(live);
+    if (loaded) {
+      closeStores(loaded);
+    }
+    if (SPILL_DIR) {
+      fs.rmSync(SPILL_DIR, { recursive: true, force: true });
     }
     server.close();
     process.exit(0);
-  });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
+module.exports = { app, parseMeterList };
+
 // Main
 if (require.main === module) {
   startSampling().then(() => {
@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Wattmeter Command Line
+ *
+ * Usage:
+ *   wattmeter run [options] -- <command> [args...]
+ *     Measure the power used while a command runs: connects to the meter,
+ *     starts streaming, runs the command, and stops when it exits. Prints a
+ *     summary (duration, average and peak power, energy) and writes a Firefox
+ *     Profiler file with start and end markers for the command.
+ *
+ * Options:
+ *   --meter <type>      Meter type, see drivers.js (default: WATTMETER_TYPE or isw8001)
+ *   --port <path>       Serial port path (default: ISW8001_PORT or MPM1010_PORT)
+ *   --output <file>     Profile file (default: <command>-<date>.json)
+ *   --summary <file>    Also write the summary as JSON
+ *
+ * The command's output goes to stdout, wattmeter's own messages to stderr.
+ * wattmeter exits with the command's exit code.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMeter } = require('./drivers.js');
+const { SampleStore } = require('./lib/sample-store.js');
+const { integrateEnergy } = require('./lib/energy.js');
+const { recordingProfile } = require('./lib/profile.js');
+const clock = require('./lib/clock.js');
+
+// Longest wait for a measurement before and after the command
+const MEASUREMENT_TIMEOUT_MS = 5000;
+
+/**
+ * Parse the command line of "wattmeter run"
+ * @returns {Object} { type, port, output, summary, command, args }
+ */
+function parseRunArgs(args) {
+  const separator = args.indexOf('--');
+  if (separator < 0 || separator === args.length - 1) {
+    throw new Error('Usage: wattmeter run [--meter <type>] [--port <path>] [--output <file>] [--summary <file>] -- <command> [args...]');
+  }
+
+  const options = {
+    type: (process.env.WATTMETER_TYPE || 'isw8001').toLowerCase(),
+    port: null,
+    output: null,
+    summary: null,
+    command: args[separator + 1],
+    args: args.slice(separator + 2)
+  };
+  const names = { '--meter': 'type', '--port': 'port', '--output': 'output', '--summary': 'summary' };
+  const own = args.slice(0, separator);
+  for (let i = 0; i < own.length; i++) {
+    const name = names[own[i]];
+    if (!name) {
+      throw new Error(`Unknown option: ${own[i]}`);
+    }
+    if (i + 1 >= own.length) {
+      throw new Error(`Missing value for ${own[i]}`);
+    }
+    options[name] = own[++i];
+  }
+  options.type = options.type.toLowerCase();
+
+  if (!options.output) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    options.output = `${path.basename(options.command)}-${stamp}.json`;
+  }
+  return options;
+}
+
+/**
+ * Summarize the samples recorded while the command ran
+ * Each sample's power counts from the previous sample to its own, so the
+ * first sample after the end also counts.
+ * @param {Object} series - SampleStore.slice() result
+ * @param {number} start - Command start, in ms since the start time
+ * @param {number} end - Command end, in ms since the start time
+ * @returns {Object} { durationMs, sampleCount, averagePower, peakPower, energyWh }
+ */
+function summarize(series, start, end) {
+  const durationMs = end - start;
+  const energyWh = integrateEnergy(series.times, series.power, start, end);
+
+  let peakPower = null;
+  let sampleCount = 0;
+  for (let i = 1; i < series.times.length; i++) {
+    if (series.power[i] !== null && series.times[i] > start && series.times[i - 1] < end) {
+      peakPower = Math.max(peakPower === null ? -Infinity : peakPower, series.power[i]);
+      sampleCount++;
+    }
+  }
+
+  return {
+    durationMs,
+    sampleCount,
+    averagePower: durationMs > 0 && sampleCount > 0 ? energyWh * 3600 * 1000 / durationMs : null,
+    peakPower,
+    energyWh
+  };
+}
+
+/**
+ * Wait for the next measurement of a meter
+ * @returns {Promise<boolean>} Whether one arrived before the timeout
+ */
+function nextMeasurement(meter) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      meter.off('measurement', done);
+      resolve(false);
+    }, MEASUREMENT_TIMEOUT_MS);
+    const done = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    meter.once('measurement', done);
+  });
+}
+
+/**
+ * Run a command while recording the meter
+ * @returns {Promise<Object>} { exitCode, summary, profile }
+ */
+async function run({ type, port, output, summary: summaryFile, command, args }) {
+  const meter = createMeter(type, port ? { path: port } : {});
+  await meter.connect();
+  // Release the serial port whatever fails, e.g. a meter that doesn't answer
+  try {
+    const { name, version } = await meter.identify();
+
+    const channel = {
+      id: 'meter',
+      label: name,
+      deviceName: name,
+      deviceVersion: version,
+      store: new SampleStore(),
+      debugTimingEvents: []
+    };
+    const markers = [];
+    const startTime = meter.markTime('start');
+    meter.on('measurement', (measurement) => {
+      channel.store.append(clock.since(startTime, measurement.timestamp), {
+        ...measurement,
+        updateTime: typeof measurement.updateTime === 'number' ? clock.since(startTime, measurement.updateTime) : null
+      });
+    });
+    if (meter.capabilities.debugTiming) {
+      meter.on('debug-timing', (event) => {
+        channel.debugTimingEvents.push({ ...event, timeMs: clock.since(startTime, event.timestamp) });
+      });
+    }
+
+    // Start the command once the meter is measuring, to get the power before it too
+    const firstMeasurement = nextMeasurement(meter);
+    await meter.startStreaming();
+    if (!await firstMeasurement) {
+      throw new Error(`No measurement from ${name}`);
+    }
+
+    const commandLine = [command, ...args].join(' ');
+    const commandStart = clock.since(startTime, meter.now());
+    const child = spawn(command, args, { stdio: 'inherit' });
+    markers.push({ meter: channel.id, name: 'Command Start', timeMs: commandStart,
+      data: { type: 'process', command: commandLine, pid: child.pid } });
+
+    // Ctrl+C reaches the command too: let it exit, then finish the recording
+    const ignore = () => {};
+    process.on('SIGINT', ignore);
+    const exitCode = await new Promise((resolve) => {
+      child.on('error', (error) => {
+        console.error(`Failed to run ${command}: ${error.message}`);
+        resolve(127);
+      });
+      child.on('exit', (code, signal) => resolve(code !== null ? code : 128 + (os.constants.signals[signal] || 0)));
+    });
+    const commandEnd = clock.since(startTime, meter.now());
+    process.off('SIGINT', ignore);
+    markers.push({ meter: channel.id, name: 'Command End', timeMs: commandEnd,
+      data: { type: 'process', command: commandLine, pid: child.pid, exitCode } });
+
+    // The sample after the end covers the last part of the command
+    await nextMeasurement(meter);
+
+    const series = channel.store.slice();
+    const summary = { command: commandLine, exitCode, device: name, ...summarize(series, commandStart, commandEnd) };
+    const profile = recordingProfile({ startTime, meters: [channel], markers });
+    fs.writeFileSync(output, JSON.stringify(profile));
+    if (summaryFile) {
+      fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2) + '\n');
+    }
+    return { exitCode, summary, profile };
+  } finally {
+    try {
+      await meter.stopStreaming();
+    } finally {
+      await meter.disconnect();
+    }
+  }
+}
+
+/**
+ * Format a summary for the terminal
+ */
+function formatSummary(summary) {
+  const format = (value, digits, unit) => value !== null ? `${value.toFixed(digits)} ${unit}` : 'n/a';
+  return [
+    `Command:       ${summary.command} (exit code ${summary.exitCode})`,
+    `Duration:      ${(summary.durationMs / 1000).toFixed(3)} s`,
+    `Samples:       ${summary.sampleCount}`,
+    `Average power: ${format(summary.averagePower, 3, 'W')}`,
+    `Peak power:    ${format(summary.peakPower, 3, 'W')}`,
+    `Energy:        ${format(summary.energyWh, 6, 'Wh')} (${format(summary.energyWh * 3600, 3, 'J')})`
+  ].join('\n');
+}
+
+module.exports = { parseRunArgs, summarize, run, formatSummary };
+
+// Main
+if (require.main === module) {
+  const [subcommand, ...args] = process.argv.slice(2);
+  if (subcommand !== 'run') {
+    console.error('Usage: wattmeter run [options] -- <command> [args...]');
+    process.exit(1);
+  }
+
+  // Keep stdout for the command's output
+  console.log = console.error;
+
+  let options;
+  try {
+    options = parseRunArgs(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  run(options).then(({ exitCode, summary }) => {
+    console.error('\n' + formatSummary(summary));
+    console.error(`✓ Profile saved to ${options.output}`);
+    process.exit(exitCode);
+  }).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}